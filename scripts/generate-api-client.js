@@ -0,0 +1,326 @@
+/**
+ * API client generator
+ * Reads src/openapi.json and writes src/services/generated/apiClient.js: JSDoc typedefs for
+ * every schema and operation, and one function per operation.
+ *
+ *   node scripts/generate-api-client.js          Write the client
+ *   node scripts/generate-api-client.js --check  Exit 1 when the client is out of date with the spec
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const SPEC_PATH = resolve(ROOT, 'src/openapi.json');
+const CLIENT_PATH = resolve(ROOT, 'src/services/generated/apiClient.js');
+const EVENT_STREAM = 'text/event-stream';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Helpers copied verbatim into the generated file
+const RUNTIME = `// Query values that are undefined, null or '' are left out
+function buildUrl(baseUrl, path, query = {}) {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.set(key, String(value));
+  });
+  const search = params.toString();
+  return \`\${baseUrl}\${path}\${search ? \`?\${search}\` : ''}\`;
+}
+
+function compactHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).filter(([, value]) => value !== undefined));
+}`;
+
+const pascalCase = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+// If-None-Match -> ifNoneMatch
+const camelCase = (name) => name
+  .split(/[^A-Za-z0-9]+/)
+  .filter(Boolean)
+  .map((part, index) => (index === 0 ? part.toLowerCase() : pascalCase(part.toLowerCase())))
+  .join('');
+
+/**
+ * JSDoc type expression for a schema
+ * @param {Object} schema - Schema object or $ref
+ * @returns {string} Type expression
+ */
+function typeOf(schema) {
+  if (!schema) return '*';
+  if (schema.$ref) return schema.$ref.split('/').pop();
+
+  let type;
+  if (schema.oneOf || schema.anyOf) {
+    type = (schema.oneOf || schema.anyOf).map(typeOf).join('|');
+  } else if (schema.type === 'array') {
+    type = `Array<${typeOf(schema.items)}>`;
+  } else if (schema.type === 'integer' || schema.type === 'number') {
+    type = 'number';
+  } else if (schema.type === 'string' || schema.type === 'boolean') {
+    type = schema.type;
+  } else {
+    type = 'Object';
+  }
+
+  return schema.nullable ? `${type}|null` : type;
+}
+
+/**
+ * Description of a property with the constraints JSDoc types can't express
+ * @param {Object} schema - Property schema
+ * @returns {string} Text after the property name, empty when there is nothing to say
+ */
+function describe(schema = {}) {
+  const constraints = [
+    schema.format,
+    schema.minLength !== undefined && `min length ${schema.minLength}`,
+    schema.minimum !== undefined && `min ${schema.minimum}`,
+    schema.maximum !== undefined && `max ${schema.maximum}`,
+    schema.default !== undefined && `default ${JSON.stringify(schema.default)}`
+  ].filter(Boolean);
+
+  if (constraints.length === 0) return schema.description ? ` - ${schema.description}` : '';
+  return ` - ${schema.description ? `${schema.description} (${constraints.join(', ')})` : constraints.join(', ')}`;
+}
+
+const property = (name, schema, required) => (
+  ` * @property {${typeOf(schema)}} ${required ? name : `[${name}]`}${describe(schema)}`
+);
+
+/**
+ * Typedef for a component schema
+ * @param {string} name - Schema name
+ * @param {Object} schema - Schema
+ * @returns {string} JSDoc block
+ */
+function schemaTypedef(name, schema) {
+  const lines = ['/**'];
+  if (schema.description) lines.push(` * ${schema.description}`);
+
+  if (schema.type === 'object' && schema.properties) {
+    const required = new Set(schema.required ?? []);
+    lines.push(` * @typedef {Object} ${name}`);
+    Object.entries(schema.properties).forEach(([field, fieldSchema]) => {
+      lines.push(property(field, fieldSchema, required.has(field)));
+    });
+  } else {
+    lines.push(` * @typedef {${typeOf(schema)}} ${name}`);
+  }
+
+  lines.push(' */');
+  return lines.join('\n');
+}
+
+/**
+ * Everything the generator needs to know about one operation
+ * @param {string} path - Path template
+ * @param {string} method - Lowercase HTTP method
+ * @param {Object} operation - Operation object
+ * @returns {Object} Operation model
+ */
+function readOperation(path, method, operation) {
+  const parameters = operation.parameters ?? [];
+  const responses = Object.entries(operation.responses ?? {});
+  const success = responses.filter(([status]) => status.startsWith('2'));
+  const contentTypes = (entries) => entries.flatMap(([, response]) => Object.keys(response.content ?? {}));
+
+  // Accept the first type a successful response has, else the error body type
+  const accept = contentTypes(success)[0] ?? contentTypes(responses)[0];
+  const successBody = success.map(([, response]) => response.content?.[accept]?.schema).find(Boolean);
+
+  return {
+    name: operation.operationId,
+    method: method.toUpperCase(),
+    path,
+    summary: operation.summary ?? `${method.toUpperCase()} ${path}`,
+    pathParams: parameters.filter(param => param.in === 'path'),
+    queryParams: parameters.filter(param => param.in === 'query'),
+    headerParams: parameters.filter(param => param.in === 'header'),
+    body: operation.requestBody?.content?.['application/json'],
+    bodyRequired: operation.requestBody?.required ?? false,
+    accept,
+    successStatuses: success.map(([status]) => status),
+    successBody,
+    eventStream: accept === EVENT_STREAM
+  };
+}
+
+/**
+ * Typedefs for an operation's params object and 2xx body
+ * @param {Object} op - Operation model
+ * @returns {string} JSDoc blocks, possibly empty
+ */
+function operationTypedefs(op) {
+  const blocks = [];
+  const typeName = pascalCase(op.name);
+  const headerParams = op.eventStream ? [] : op.headerParams;
+
+  if (op.queryParams.length > 0 || headerParams.length > 0) {
+    const lines = [`/**`, ` * Parameters of ${op.name}`, ` * @typedef {Object} ${typeName}Params`];
+    op.queryParams.forEach(param => {
+      lines.push(property(param.name, { ...param.schema, description: param.description }, param.required));
+    });
+    headerParams.forEach(param => {
+      const text = `${param.name} header${param.description ? `: ${param.description}` : ''}`;
+      lines.push(property(camelCase(param.name), { ...param.schema, description: text }, param.required));
+    });
+    lines.push(' */');
+    blocks.push(lines.join('\n'));
+  }
+
+  if (op.successBody && !op.eventStream) {
+    blocks.push([
+      '/**',
+      ` * Body of a ${op.successStatuses[0]} ${op.name} response (${op.accept})`,
+      ` * @typedef {${typeOf(op.successBody)}} ${typeName}Response`,
+      ' */'
+    ].join('\n'));
+  }
+
+  return blocks.join('\n\n');
+}
+
+// Template literal for the request path, with path params URL-encoded
+const pathExpression = (op) => (op.pathParams.length === 0
+  ? `'${op.path}'`
+  : `\`${op.path.replace(/\{(\w+)\}/g, (_, name) => `\${encodeURIComponent(${name})}`)}\``);
+
+/**
+ * Client function for an operation
+ * @param {Object} op - Operation model
+ * @returns {string} JSDoc and function source
+ */
+function operationFunction(op) {
+  const typeName = pascalCase(op.name);
+  const doc = ['/**', ` * ${op.summary}`, ` * ${op.method} ${op.path}${op.accept ? ` (${op.accept})` : ''}`];
+  const args = [];
+
+  op.pathParams.forEach(param => {
+    doc.push(` * @param {${typeOf(param.schema)}} ${param.name}${describe({ ...param.schema, description: param.description })}`);
+    args.push(param.name);
+  });
+
+  if (op.eventStream) {
+    // EventSource can't send headers, so header params are left out
+    if (op.queryParams.length > 0) {
+      doc.push(` * @param {${typeName}Params} [params] - Query parameters`);
+      args.push('params = {}');
+    }
+    doc.push(' * @param {{ baseUrl: string, withCredentials?: boolean }} options - API base URL and EventSource options');
+    doc.push(' * @returns {EventSource} Open event stream; it resends Last-Event-ID by itself when it reconnects');
+    doc.push(' */');
+    args.push('{ baseUrl, ...init }');
+
+    return [
+      doc.join('\n'),
+      `export function ${op.name}(${args.join(', ')}) {`,
+      `  return new EventSource(buildUrl(baseUrl, ${pathExpression(op)}${op.queryParams.length > 0 ? ', params' : ''}), init);`,
+      '}'
+    ].join('\n');
+  }
+
+  const hasParams = op.queryParams.length > 0 || op.headerParams.length > 0;
+  if (hasParams) {
+    doc.push(` * @param {${typeName}Params} [params] - Query and header parameters`);
+    args.push('params = {}');
+  }
+  if (op.body) {
+    doc.push(` * @param {${typeOf(op.body.schema)}} ${op.bodyRequired ? 'body' : '[body]'} - JSON request body`);
+    args.push('body');
+  }
+  doc.push(' * @param {Object} options - { baseUrl, send = fetch, ...init }: send(url, init) performs the request;');
+  doc.push(' *   the rest of init (signal, headers, ...) is passed through to it');
+  doc.push(` * @returns {Promise<*>} Whatever send resolves to${op.successBody ? ` (with fetch, a Response with a ${typeName}Response body)` : ''}`);
+  doc.push(' */');
+  args.push('{ baseUrl, send = fetch, ...init }');
+
+  const query = op.queryParams.length > 0
+    ? `, {\n${op.queryParams.map(param => `    ${param.name}: params.${param.name}`).join(',\n')}\n  }`
+    : '';
+
+  const headers = [
+    op.accept && `'Accept': '${op.accept}'`,
+    op.body && `'Content-Type': 'application/json'`,
+    '...init.headers',
+    ...op.headerParams.map(param => `'${param.name}': params.${camelCase(param.name)}`)
+  ].filter(Boolean);
+
+  const init = [
+    '    ...init',
+    `    method: '${op.method}'`,
+    `    headers: compactHeaders({ ${headers.join(', ')} })`,
+    op.body && '    body: body === undefined ? undefined : JSON.stringify(body)'
+  ].filter(Boolean);
+
+  return [
+    doc.join('\n'),
+    `export function ${op.name}(${args.join(', ')}) {`,
+    `  const url = buildUrl(baseUrl, ${pathExpression(op)}${query});`,
+    `  return send(url, {\n${init.join(',\n')}\n  });`,
+    '}'
+  ].join('\n');
+}
+
+/**
+ * Generate the client source from a spec
+ * @param {Object} spec - OpenAPI document
+ * @returns {string} File contents
+ */
+function generateClient(spec) {
+  const operations = Object.entries(spec.paths ?? {}).flatMap(([path, item]) => (
+    HTTP_METHODS
+      .filter(method => item[method])
+      .map(method => readOperation(path, method, item[method]))
+  ));
+
+  const missingIds = operations.filter(op => !op.name);
+  if (missingIds.length > 0) {
+    throw new Error(`Every operation needs an operationId: ${missingIds.map(op => `${op.method} ${op.path}`).join(', ')}`);
+  }
+
+  const sections = [
+    [
+      '/**',
+      ` * ${spec.info?.title ?? 'API'} client (v${spec.info?.version ?? '0'})`,
+      ' * Generated from src/openapi.json by scripts/generate-api-client.js. Do not edit by hand:',
+      ' * change the spec and run `npm run generate:api`. `npm run check:api` fails when this file is stale.',
+      ' */'
+    ].join('\n'),
+    ...Object.entries(spec.components?.schemas ?? {}).map(([name, schema]) => schemaTypedef(name, schema)),
+    ...operations.map(operationTypedefs).filter(Boolean),
+    RUNTIME,
+    ...operations.map(operationFunction)
+  ];
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const spec = JSON.parse(readFileSync(SPEC_PATH, 'utf8'));
+  const source = generateClient(spec);
+  const clientPath = relative(ROOT, CLIENT_PATH);
+
+  if (check) {
+    let current = null;
+    try {
+      current = readFileSync(CLIENT_PATH, 'utf8');
+    } catch {
+      // Missing counts as out of date
+    }
+    if (current !== source) {
+      console.error(`${clientPath} does not match src/openapi.json. Run \`npm run generate:api\` and commit the result.`);
+      process.exit(1);
+    }
+    console.log(`${clientPath} is up to date`);
+    return;
+  }
+
+  mkdirSync(dirname(CLIENT_PATH), { recursive: true });
+  writeFileSync(CLIENT_PATH, source);
+  console.log(`Wrote ${clientPath}`);
+}
+
+main();
@@ -0,0 +1,91 @@
+/**
+ * Work order fixture generator
+ * Writes a dataset from src/utils/mockData.js to a JSON or NDJSON file. The same options
+ * always produce the same file, so benchmark runs can be compared.
+ *
+ *   node scripts/generate-fixtures.js [options]
+ *
+ *   --count <n>              Number of work orders (default 50000)
+ *   --seed <n>               PRNG seed (default DEFAULT_SEED)
+ *   --reference-date <iso>   Instant the dates count back from (default REFERENCE_DATE)
+ *   --distribution <name>    uniform, realistic or escalation (default uniform)
+ *   --weight <field.value=n> Override one weight, e.g. --weight status.Blocked=10 (repeatable)
+ *   --format <json|ndjson>   Output format (default: from --out, else json)
+ *   --out <file>             Output file (default fixtures/workorders-<count>-<distribution>-<seed>.<format>)
+ */
+
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { dirname, extname, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { generateWorkOrders, resolveDistribution, DEFAULT_SEED, REFERENCE_DATE } from '../src/utils/mockData.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const FORMATS = ['json', 'ndjson'];
+
+/**
+ * Turn --weight arguments into distribution overrides
+ * @param {Array<string>} weights - field.value=n entries
+ * @returns {Object} { [field]: { [value]: n } }
+ */
+function parseWeights(weights) {
+  return weights.reduce((overrides, entry) => {
+    const match = /^(\w+)\.(.+)=(\d+(?:\.\d+)?)$/.exec(entry);
+    if (!match) {
+      throw new Error(`Invalid --weight "${entry}", expected field.value=n`);
+    }
+    const [, field, value, weight] = match;
+    return { ...overrides, [field]: { ...overrides[field], [value]: Number(weight) } };
+  }, {});
+}
+
+function integer(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`--${name} must be a non-negative integer, got "${value}"`);
+  }
+  return number;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      count: { type: 'string', default: '50000' },
+      seed: { type: 'string', default: String(DEFAULT_SEED) },
+      'reference-date': { type: 'string', default: REFERENCE_DATE },
+      distribution: { type: 'string', default: 'uniform' },
+      weight: { type: 'string', multiple: true, default: [] },
+      format: { type: 'string' },
+      out: { type: 'string' }
+    }
+  });
+
+  const count = integer(values.count, 'count');
+  const seed = integer(values.seed, 'seed');
+  const format = values.format ?? (values.out && extname(values.out) === '.ndjson' ? 'ndjson' : 'json');
+  if (!FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${FORMATS.join(', ')}, got "${format}"`);
+  }
+
+  // Resolved up front so a typo in a preset name fails before anything is generated
+  const distribution = resolveDistribution({ preset: values.distribution, ...parseWeights(values.weight) });
+  const workOrders = generateWorkOrders(count, { seed, referenceDate: values['reference-date'], distribution });
+
+  const out = values.out
+    ? resolve(values.out)
+    : resolve(ROOT, `fixtures/workorders-${count}-${values.distribution}-${seed}.${format}`);
+  const body = format === 'ndjson'
+    ? workOrders.map(workOrder => `${JSON.stringify(workOrder)}\n`).join('')
+    : `${JSON.stringify(workOrders)}\n`;
+
+  mkdirSync(dirname(out), { recursive: true });
+  writeFileSync(out, body);
+  console.log(`Wrote ${workOrders.length} work orders to ${relative(process.cwd(), out)}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
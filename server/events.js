@@ -0,0 +1,65 @@
+/**
+ * Server-Sent Events hub for the local Work Orders API
+ * Pushes created/updated/deleted work orders to every open /workorders/events stream.
+ * Recent events are kept so a client reconnecting with Last-Event-ID misses nothing.
+ */
+
+const HEARTBEAT_INTERVAL = 15000; // Comment line that keeps proxies from closing idle streams
+
+/**
+ * Create an event hub
+ * @param {Object} [options] - Hub options
+ * @param {number} [options.historySize=500] - Events kept for Last-Event-ID replay
+ * @param {Function} [options.onClientsChange] - Called with the number of open streams when it changes
+ * @returns {{ connect: Function, publish: Function, clientCount: Function }} Hub
+ */
+export function createEventHub({ historySize = 500, onClientsChange } = {}) {
+  const clients = new Set();
+  let history = [];
+  let lastId = 0;
+
+  const format = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+
+  /**
+   * Turn a response into an event stream until the client disconnects
+   * @param {import('http').IncomingMessage} req - Request
+   * @param {import('http').ServerResponse} res - Response
+   */
+  function connect(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+
+    // Replay what a reconnecting client missed
+    const since = Number(req.headers['last-event-id']);
+    if (Number.isInteger(since)) {
+      history.filter(event => event.id > since).forEach(event => res.write(format(event)));
+    }
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+    clients.add(res);
+    onClientsChange?.(clients.size);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+      onClientsChange?.(clients.size);
+    });
+  }
+
+  /**
+   * Send an event to every open stream
+   * @param {string} type - 'created', 'updated' or 'deleted'
+   * @param {Object} data - Work order, or { id } for deleted
+   */
+  function publish(type, data) {
+    const event = { id: ++lastId, type, data };
+    history = [...history.slice(-(historySize - 1)), event];
+    clients.forEach(res => res.write(format(event)));
+  }
+
+  return { connect, publish, clientCount: () => clients.size };
+}
@@ -0,0 +1,117 @@
+/**
+ * Latency and fault injection for the mock Work Orders API
+ * The active config is changed at runtime from the dev panel via /__mock/config.
+ */
+
+export const DEFAULT_FAULTS = {
+  latency: 0, // ms added before every response
+  jitter: 0, // extra random ms on top of latency
+  errorRate: 0, // 0-1 share of requests answered with errorStatus
+  errorStatus: 500, // status code used for injected errors
+  truncateRate: 0, // 0-1 share of responses cut off halfway
+  corruptRate: 0, // 0-1 share of records with a missing or mistyped field
+  streamChunkSize: 0, // characters per chunk when streaming slowly, 0 = send at once
+  streamChunkDelay: 0 // ms between streamed chunks
+};
+
+// Fields the corruption fault breaks, with the broken value it writes
+const CORRUPTIONS = [
+  (record) => { delete record.dueDate; },
+  (record) => { delete record.assignee; },
+  (record) => { record.estimatedHours = String(record.estimatedHours); },
+  (record) => { record.createdDate = 'not-a-date'; },
+  (record) => { record.status = null; }
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Validate and merge a partial fault config
+ * @param {Object} current - Active config
+ * @param {Object} patch - Values to change
+ * @returns {Object} New config
+ */
+export function updateFaults(current, patch) {
+  const next = { ...current };
+
+  Object.entries(patch).forEach(([key, value]) => {
+    if (!(key in DEFAULT_FAULTS)) {
+      throw new Error(`Unknown fault setting "${key}"`);
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`"${key}" must be a non-negative number`);
+    }
+    if (key.endsWith('Rate') && number > 1) {
+      throw new Error(`"${key}" must be between 0 and 1`);
+    }
+    if (key === 'errorStatus' && (number < 400 || number > 599)) {
+      throw new Error('"errorStatus" must be a 4xx or 5xx status code');
+    }
+    next[key] = number;
+  });
+
+  return next;
+}
+
+/**
+ * Wait for the configured latency
+ * @param {Object} faults - Active config
+ */
+export function delay(faults) {
+  const ms = faults.latency + Math.random() * faults.jitter;
+  return ms > 0 ? sleep(ms) : Promise.resolve();
+}
+
+/**
+ * Decide whether this request gets an injected error
+ * @param {Object} faults - Active config
+ * @returns {boolean} True when the request should fail
+ */
+export function shouldFail(faults) {
+  return Math.random() < faults.errorRate;
+}
+
+/**
+ * Copy records, breaking a share of them according to corruptRate
+ * @param {Array} records - Work orders about to be sent
+ * @param {Object} faults - Active config
+ * @returns {Array} Records to send (the input itself when nothing is corrupted)
+ */
+export function corruptRecords(records, faults) {
+  if (faults.corruptRate === 0) return records;
+
+  return records.map(record => {
+    if (Math.random() >= faults.corruptRate) return record;
+    const broken = { ...record };
+    CORRUPTIONS[Math.floor(Math.random() * CORRUPTIONS.length)](broken);
+    return broken;
+  });
+}
+
+/**
+ * Write a response body, applying truncation and slow streaming
+ * @param {import('http').ServerResponse} res - Response (status and headers already set)
+ * @param {string} body - Serialized body
+ * @param {Object} faults - Active config
+ */
+export async function writeBody(res, body, faults) {
+  let payload = body;
+
+  // Truncated bodies end mid-JSON, like a connection dropped by a proxy
+  if (Math.random() < faults.truncateRate) {
+    payload = body.slice(0, Math.floor(body.length / 2));
+  }
+
+  if (!faults.streamChunkSize) {
+    res.end(payload);
+    return;
+  }
+
+  for (let start = 0; start < payload.length; start += faults.streamChunkSize) {
+    if (res.destroyed) return;
+    res.write(payload.slice(start, start + faults.streamChunkSize));
+    await sleep(faults.streamChunkDelay);
+  }
+  res.end();
+}
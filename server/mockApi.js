@@ -0,0 +1,355 @@
+/**
+ * Local stand-in for the Work Orders API
+ * Serves every path of src/openapi.json from generated mock data as Vite dev/preview
+ * middleware, with latency and faults configurable at runtime through /__mock/config.
+ */
+
+import { createHash } from 'node:crypto';
+import { generateWorkOrders, STATUSES } from '../src/utils/mockData';
+import { queryWorkOrders, fromSearchParams, isPaginated, parseSort, decodeCursor, NDJSON_CONTENT_TYPE } from '../src/utils/workOrderQuery';
+import { parseSearchQuery } from '../src/utils/searchQuery';
+import { validateRecord, WORK_ORDER_SCHEMA, WORK_ORDER_INPUT_SCHEMA, WORK_ORDER_PATCH_SCHEMA } from '../src/utils/workOrderSchema';
+import { DEFAULT_FAULTS, updateFaults, delay, shouldFail, corruptRecords, writeBody } from './faults';
+import { createEventHub } from './events';
+
+export const MOCK_CONFIG_PATH = '/__mock/config';
+
+/**
+ * Send a JSON response without fault injection (control endpoints, validation errors)
+ * @param {import('http').ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {*} body - Value to serialize
+ */
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {import('http').IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+async function readJson(req) {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Reject query values the real API would reject
+ * @param {Object} query - Parsed query object
+ * @returns {string|null} Error message, or null when the query is valid
+ */
+function validateQuery(query) {
+  if (query.limit !== undefined && (!Number.isInteger(query.limit) || query.limit < 1)) {
+    return '"limit" must be a positive integer';
+  }
+  if (query.offset !== undefined && (!Number.isInteger(query.offset) || query.offset < 0)) {
+    return '"offset" must be a non-negative integer';
+  }
+  if (query.cursor !== undefined) {
+    try {
+      decodeCursor(query.cursor);
+    } catch (error) {
+      return error.message;
+    }
+  }
+  for (const key of ['createdFrom', 'createdTo', 'dueFrom', 'dueTo', 'asOf']) {
+    if (query[key] !== undefined && Number.isNaN(Date.parse(query[key]))) {
+      return `"${key}" must be an ISO 8601 date`;
+    }
+  }
+  for (const key of ['minHours', 'maxHours', 'minCompletion', 'maxCompletion']) {
+    if (query[key] !== undefined && !(query[key] >= 0)) {
+      return `"${key}" must be a non-negative number`;
+    }
+  }
+  const [queryError] = parseSearchQuery(query.q).errors;
+  if (queryError) return `Invalid "q": ${queryError.message}`;
+  try {
+    parseSort(query.sort);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+/**
+ * Keep only the fields a client may write
+ * @param {Object} body - Parsed request body
+ * @returns {Object} Body limited to WorkOrderInput properties
+ */
+function pickWritable(body) {
+  const fields = Object.keys(WORK_ORDER_INPUT_SCHEMA.properties);
+  return Object.fromEntries(Object.entries(body ?? {}).filter(([key]) => fields.includes(key)));
+}
+
+// 400 response listing every validation message
+const invalid = (errors) => ({
+  status: 400,
+  body: { error: errors.map(error => error.message).join(', ') }
+});
+
+/**
+ * Create connect-style middleware answering the API paths under basePath
+ * @param {Object} [options] - Server options
+ * @param {string} [options.basePath='/api'] - Path prefix the API is mounted on
+ * @param {number} [options.count=50000] - Number of generated work orders
+ * @param {number} [options.seed] - Seed of the generated data, see generateWorkOrders
+ * @param {string|Object} [options.distribution] - Value distribution preset or fields, see resolveDistribution
+ * @param {Object} [options.faults] - Initial fault config, see server/faults.js
+ * @param {number} [options.activityInterval=0] - ms between simulated changes by other users
+ *   while someone listens to /workorders/events; 0 (the default) keeps the seeded data as generated
+ * @returns {Function} (req, res, next) middleware
+ */
+export function createMockApiMiddleware({ basePath = '/api', count = 50000, seed, distribution, faults: initialFaults, activityInterval = 0 } = {}) {
+  let workOrders = null;
+  let faults = updateFaults(DEFAULT_FAULTS, initialFaults ?? {});
+
+  // Generated on first request so dev server startup stays fast
+  const getWorkOrders = () => {
+    if (!workOrders) workOrders = generateWorkOrders(count, { seed, distribution });
+    return workOrders;
+  };
+
+  const findIndex = (id) => getWorkOrders().findIndex(workOrder => workOrder.id === id);
+  const notFound = (id) => ({ status: 404, body: { error: `Work order ${id} not found` } });
+
+  // Ids keep counting up from the highest generated one, so a deleted id is never handed out again
+  let lastId = null;
+  const nextId = () => {
+    if (lastId === null) {
+      lastId = getWorkOrders().reduce((max, workOrder) => Math.max(max, Number(workOrder.id.slice(3)) || 0), 0);
+    }
+    lastId += 1;
+    return `WO-${String(lastId).padStart(6, '0')}`;
+  };
+
+  // Other users at work: mostly progress updates, sometimes a new or removed work order
+  const simulateActivity = () => {
+    const list = getWorkOrders();
+    // Every work order deleted: nothing left to copy, edit or remove
+    if (list.length === 0) return;
+    const index = Math.floor(Math.random() * list.length);
+    const roll = Math.random();
+
+    if (roll < 0.1) {
+      const id = nextId();
+      const template = list[index];
+      const workOrder = {
+        ...template,
+        id,
+        title: `${template.workType} - ${template.department} #${Number(id.slice(3))}`,
+        status: 'Open',
+        completionPercentage: 0,
+        createdDate: new Date().toISOString()
+      };
+      list.push(workOrder);
+      events.publish('created', workOrder);
+    } else if (roll < 0.15) {
+      const [removed] = list.splice(index, 1);
+      events.publish('deleted', { id: removed.id });
+    } else {
+      const status = STATUSES[Math.floor(Math.random() * STATUSES.length)];
+      const completionPercentage = status === 'Completed'
+        ? 100
+        : Math.min(99, list[index].completionPercentage + 10 + Math.floor(Math.random() * 20));
+      list[index] = { ...list[index], status, completionPercentage };
+      events.publish('updated', list[index]);
+    }
+  };
+
+  // The simulation only runs while at least one client is listening
+  let activityTimer = null;
+  const events = createEventHub({
+    onClientsChange: (clients) => {
+      if (clients > 0 && !activityTimer && activityInterval > 0) {
+        activityTimer = setInterval(simulateActivity, activityInterval);
+      } else if (clients === 0 && activityTimer) {
+        clearInterval(activityTimer);
+        activityTimer = null;
+      }
+    }
+  });
+
+  // One entry per operation in src/openapi.json; handlers return { status, body, headers? }.
+  // A string body is sent as is, anything else as JSON. Streaming routes write to res themselves.
+  const routes = [
+    {
+      method: 'GET',
+      pattern: /^\/workorders\/events$/,
+      stream: true,
+      handler: ({ req, res }) => events.connect(req, res)
+    },
+    {
+      method: 'GET',
+      pattern: /^\/workorders$/,
+      handler: ({ req, url }) => {
+        const query = fromSearchParams(url.searchParams);
+        const message = validateQuery(query);
+        if (message) return { status: 400, body: { error: message } };
+
+        const page = queryWorkOrders(getWorkOrders(), query);
+        const items = corruptRecords(page.items, faults);
+        const headers = { 'X-Total-Count': String(page.total) };
+
+        // Streaming clients get one record per line; the page info moves to headers
+        if (req.headers.accept?.includes(NDJSON_CONTENT_TYPE)) {
+          if (isPaginated(query) && page.nextCursor) headers['X-Next-Cursor'] = page.nextCursor;
+          return {
+            status: 200,
+            headers: { ...headers, 'Content-Type': NDJSON_CONTENT_TYPE },
+            body: items.map(item => `${JSON.stringify(item)}\n`).join('')
+          };
+        }
+
+        // Without limit/cursor the API keeps its original contract: a plain array
+        return { status: 200, headers, body: isPaginated(query) ? { ...page, items } : items };
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/workorders$/,
+      handler: async ({ req }) => {
+        const input = { description: '', completionPercentage: 0, ...pickWritable(await readJson(req)) };
+        const { value, errors } = validateRecord(input, WORK_ORDER_INPUT_SCHEMA);
+        if (!value) return invalid(errors);
+
+        const workOrder = { id: nextId(), ...value, createdDate: new Date().toISOString() };
+        getWorkOrders().push(workOrder);
+        events.publish('created', workOrder);
+        return { status: 201, body: workOrder };
+      }
+    },
+    {
+      method: 'PATCH',
+      pattern: /^\/workorders\/(?<id>[^/]+)$/,
+      handler: async ({ req, params }) => {
+        const index = findIndex(params.id);
+        if (index === -1) return notFound(params.id);
+
+        const patch = validateRecord(pickWritable(await readJson(req)), WORK_ORDER_PATCH_SCHEMA);
+        if (!patch.value) return invalid(patch.errors);
+
+        // The merged record must still be a valid work order (e.g. no blanked title)
+        const merged = validateRecord({ ...getWorkOrders()[index], ...patch.value }, WORK_ORDER_SCHEMA);
+        if (!merged.value) return invalid(merged.errors);
+
+        getWorkOrders()[index] = merged.value;
+        events.publish('updated', merged.value);
+        return { status: 200, body: merged.value };
+      }
+    },
+    {
+      method: 'DELETE',
+      pattern: /^\/workorders\/(?<id>[^/]+)$/,
+      handler: ({ params }) => {
+        const index = findIndex(params.id);
+        if (index === -1) return notFound(params.id);
+
+        getWorkOrders().splice(index, 1);
+        events.publish('deleted', { id: params.id });
+        return { status: 204, body: '' };
+      }
+    }
+  ];
+
+  async function handleConfig(req, res) {
+    if (req.method === 'GET') return sendJson(res, 200, faults);
+
+    if (req.method === 'PUT' || req.method === 'POST') {
+      try {
+        const patch = await readJson(req);
+        faults = req.method === 'PUT' ? updateFaults(DEFAULT_FAULTS, patch) : updateFaults(faults, patch);
+        return sendJson(res, 200, faults);
+      } catch (error) {
+        return sendJson(res, 400, { error: error.message });
+      }
+    }
+
+    sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+  }
+
+  async function handleApi(req, res, url) {
+    const path = url.pathname.slice(basePath.length);
+    const route = routes.find(r => r.method === req.method && r.pattern.test(path));
+
+    await delay(faults);
+
+    if (!route) {
+      return sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+    }
+
+    if (shouldFail(faults)) {
+      return sendJson(res, faults.errorStatus, { error: `Injected ${faults.errorStatus} from mock API` });
+    }
+
+    if (route.stream) return route.handler({ req, res, url });
+
+    const match = path.match(route.pattern);
+    const params = Object.fromEntries(Object.entries(match.groups ?? {}).map(([key, value]) => [key, decodeURIComponent(value)]));
+
+    let result;
+    try {
+      result = await route.handler({ req, url, params });
+    } catch (error) {
+      // Malformed JSON bodies are the client's fault; anything else is a bug and goes to next()
+      if (error instanceof SyntaxError) return sendJson(res, 400, { error: `Invalid JSON body: ${error.message}` });
+      throw error;
+    }
+    const { status, body, headers = {} } = result;
+
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+
+    // Conditional GET: the ETag hashes exactly what would be sent, so any change in data or format changes it
+    if (req.method === 'GET' && status === 200) {
+      const etag = `"${createHash('sha1').update(payload).digest('base64url')}"`;
+      res.setHeader('ETag', etag);
+      res.setHeader('Vary', 'Accept');
+      if (req.headers['if-none-match'] === etag) {
+        res.statusCode = 304;
+        res.end();
+        return;
+      }
+    }
+
+    await writeBody(res, payload, faults);
+  }
+
+  return (req, res, next) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === MOCK_CONFIG_PATH) {
+      handleConfig(req, res).catch(next);
+    } else if (url.pathname.startsWith(`${basePath}/`)) {
+      handleApi(req, res, url).catch(next);
+    } else {
+      next();
+    }
+  };
+}
+
+/**
+ * Vite plugin mounting the mock API on the dev and preview servers.
+ * MOCK_ACTIVITY_INTERVAL=<ms> in the environment turns on simulated activity unless options set it.
+ * @param {Object} [options] - Passed to createMockApiMiddleware
+ * @returns {import('vite').Plugin} Plugin
+ */
+export function mockApiPlugin(options) {
+  const middlewareOptions = { activityInterval: Number(process.env.MOCK_ACTIVITY_INTERVAL) || 0, ...options };
+  return {
+    name: 'mock-work-orders-api',
+    configureServer(server) {
+      server.middlewares.use(createMockApiMiddleware(middlewareOptions));
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(createMockApiMiddleware(middlewareOptions));
+    }
+  };
+}
@@ -0,0 +1,57 @@
+import { useSyncExternalStore } from 'react';
+
+// Compact one-line preview of a slice value
+const formatValue = (value) => (value === undefined ? 'undefined' : JSON.stringify(value));
+
+/**
+ * Lists every action recorded by an action log, newest first,
+ * with the before/after value of each slice it touched.
+ */
+function ActionLogPanel({ log }) {
+  const entries = useSyncExternalStore(log.subscribe, log.getEntries);
+
+  return (
+    <div className="bg-gray-900 text-gray-200 p-4 rounded-lg shadow-md border border-gray-700">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-semibold text-lg">Action Log</h3>
+        <button
+          onClick={log.clear}
+          className="text-xs bg-gray-700 hover:bg-gray-600 text-white py-1 px-3 rounded-md"
+        >
+          Clear
+        </button>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500 italic">No actions yet. Click a button above.</p>
+      ) : (
+        <ul className="space-y-2 max-h-72 overflow-y-auto font-mono text-xs">
+          {entries.map(entry => (
+            <li key={entry.id} className="bg-gray-800 rounded-md p-2 border border-gray-700">
+              <div className="flex justify-between">
+                <span className="text-blue-400 font-semibold">{entry.type}</span>
+                <span className="text-gray-500">{new Date(entry.timestamp).toLocaleTimeString()}</span>
+              </div>
+              {entry.payload !== undefined && (
+                <div className="text-gray-400">payload: {formatValue(entry.payload)}</div>
+              )}
+              {entry.changes.length === 0 ? (
+                <div className="text-gray-500 italic">no state change</div>
+              ) : (
+                entry.changes.map(change => (
+                  <div key={change.slice} className="mt-1">
+                    <span className="text-purple-400">{change.slice}</span>
+                    <div className="text-red-400 truncate">- {formatValue(change.before)}</div>
+                    <div className="text-green-400 truncate">+ {formatValue(change.after)}</div>
+                  </div>
+                ))
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ActionLogPanel;
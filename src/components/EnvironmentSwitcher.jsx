@@ -0,0 +1,31 @@
+import { useApiConfig } from '../hooks/useApiConfig';
+import { getEnvironments, setEnvironment } from '../config';
+
+/**
+ * Dropdown for switching the API environment every request uses.
+ * Environments without a baseUrl for this build are shown but disabled.
+ */
+function EnvironmentSwitcher() {
+  const apiConfig = useApiConfig();
+  const environments = getEnvironments();
+
+  return (
+    <label className="flex items-center gap-2 text-sm">
+      <span className="text-white/80">API:</span>
+      <select
+        value={apiConfig.name}
+        onChange={(e) => setEnvironment(e.target.value)}
+        title={apiConfig.baseUrl}
+        className="bg-white/10 border border-white/30 rounded-md px-2 py-1 text-white focus:outline-none focus:ring-2 focus:ring-white/50"
+      >
+        {Object.entries(environments).map(([name, environment]) => (
+          <option key={name} value={name} disabled={!environment.baseUrl} className="text-black">
+            {environment.label}{environment.baseUrl ? '' : ' (not configured)'}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default EnvironmentSwitcher;
@@ -0,0 +1,31 @@
+import { findMatchRanges } from '../utils/fuzzySearch';
+
+/**
+ * Text with the parts matching the search marked. Ranges are found on render, so only the
+ * rows a virtualized list actually shows pay for it.
+ * @param {string} text - Text to show
+ * @param {Object} highlight - { terms, fuzzy }, see findMatchRanges
+ */
+function HighlightedText({ text, highlight }) {
+  const value = String(text ?? '');
+  if (highlight.terms.length === 0) return value;
+
+  const ranges = findMatchRanges(value, highlight.terms, { fuzzy: highlight.fuzzy });
+  if (ranges.length === 0) return value;
+
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(value.slice(position, start));
+    parts.push(
+      <mark key={start} className="bg-yellow-400/30 text-inherit rounded-sm">
+        {value.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  if (position < value.length) parts.push(value.slice(position));
+  return parts;
+}
+
+export default HighlightedText;
@@ -0,0 +1,121 @@
+import { useState, useCallback } from 'react';
+import { getMockFaults, setMockFaults } from '../services/mockApiControl';
+
+// One-click scenarios; anything not listed falls back to the server default
+const PRESETS = {
+  Healthy: {},
+  'Slow network': { latency: 1500, jitter: 1000 },
+  'Flaky (30% 500s)': { errorRate: 0.3, errorStatus: 500 },
+  'Down (503)': { errorRate: 1, errorStatus: 503 },
+  'Rate limited (429)': { errorRate: 0.5, errorStatus: 429 },
+  'Truncated bodies': { truncateRate: 1 },
+  'Corrupt records': { corruptRate: 0.05 },
+  'Slow stream': { streamChunkSize: 16384, streamChunkDelay: 150 }
+};
+
+const FIELDS = [
+  { key: 'latency', label: 'Latency (ms)', step: 100 },
+  { key: 'jitter', label: 'Jitter (ms)', step: 100 },
+  { key: 'errorRate', label: 'Error rate (0-1)', step: 0.05 },
+  { key: 'errorStatus', label: 'Error status', step: 1 },
+  { key: 'truncateRate', label: 'Truncate rate (0-1)', step: 0.05 },
+  { key: 'corruptRate', label: 'Corrupt record rate (0-1)', step: 0.01 },
+  { key: 'streamChunkSize', label: 'Stream chunk (chars)', step: 1024 },
+  { key: 'streamChunkDelay', label: 'Chunk delay (ms)', step: 50 }
+];
+
+/**
+ * Development panel for the local mock API: latency, error rates, status codes,
+ * truncated bodies, corrupt records and slow streaming.
+ */
+function MockApiPanel() {
+  const [isOpen, setIsOpen] = useState(false);
+  const [faults, setFaults] = useState(null);
+  const [status, setStatus] = useState('');
+
+  const open = useCallback(async () => {
+    setIsOpen(true);
+    try {
+      setFaults(await getMockFaults());
+      setStatus('');
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }, []);
+
+  const apply = useCallback(async (next) => {
+    try {
+      setFaults(await setMockFaults(next));
+      setStatus('Applied');
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }, []);
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={open}
+        className="fixed bottom-4 left-4 z-40 px-4 py-2 bg-gray-800 hover:bg-gray-700 text-white text-sm font-semibold rounded-lg border border-gray-600 shadow-lg"
+      >
+        🛠 Mock API
+      </button>
+    );
+  }
+
+  return (
+    <div className="fixed bottom-4 left-4 z-40 w-96 bg-gray-800 text-white rounded-lg border border-gray-600 shadow-2xl p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-bold text-lg">🛠 Mock API Faults</h3>
+        <button onClick={() => setIsOpen(false)} className="text-gray-400 hover:text-white">✕</button>
+      </div>
+      <p className="text-xs text-gray-400 mb-3">Applies to requests served by the local mock API (select "Local mock" in the API switcher).</p>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {Object.entries(PRESETS).map(([name, preset]) => (
+          <button
+            key={name}
+            onClick={() => apply(preset)}
+            className="text-xs px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded-md"
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+
+      {faults && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            apply(faults);
+          }}
+          className="grid grid-cols-2 gap-3"
+        >
+          {FIELDS.map(field => (
+            <label key={field.key} className="text-xs text-gray-300">
+              {field.label}
+              <input
+                type="number"
+                min={0}
+                step={field.step}
+                value={faults[field.key]}
+                onChange={(e) => setFaults(prev => ({ ...prev, [field.key]: Number(e.target.value) }))}
+                className="w-full mt-1 px-2 py-1 bg-gray-900 border border-gray-600 rounded-md text-white"
+              />
+            </label>
+          ))}
+          <button
+            type="submit"
+            className="col-span-2 py-2 bg-blue-600 hover:bg-blue-700 rounded-md font-semibold text-sm"
+          >
+            Apply
+          </button>
+        </form>
+      )}
+
+      {status && <div className="text-xs text-gray-400 mt-3">{status}</div>}
+    </div>
+  );
+}
+
+export default MockApiPanel;
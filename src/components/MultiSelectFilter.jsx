@@ -0,0 +1,43 @@
+/**
+ * Dropdown of checkboxes for filtering one field by several values.
+ * Nothing checked means the field isn't filtered.
+ */
+function MultiSelectFilter({ label, allLabel, options, selected, onChange }) {
+  const toggle = (option) => {
+    onChange(selected.includes(option) ? selected.filter(value => value !== option) : [...selected, option]);
+  };
+
+  const summary = selected.length === 0
+    ? allLabel
+    : selected.length === 1 ? selected[0] : `${selected.length} selected`;
+
+  return (
+    <div>
+      <span className="block text-sm font-semibold text-gray-300 mb-2">{label}</span>
+      <details className="relative">
+        <summary className="list-none flex justify-between items-center w-full px-4 py-2 bg-gray-900 border border-gray-600 rounded-lg text-white cursor-pointer focus:outline-none focus:ring-2 focus:ring-blue-500">
+          <span className={`truncate ${selected.length === 0 ? 'text-gray-400' : ''}`}>{summary}</span>
+          <span className="text-gray-500 text-xs">▼</span>
+        </summary>
+        <div className="absolute z-20 left-0 right-0 mt-1 max-h-64 overflow-y-auto bg-gray-900 border border-gray-600 rounded-lg p-1 shadow-lg">
+          {options.map(option => (
+            <label key={option} className="flex items-center gap-2 px-2 py-1 rounded text-sm text-gray-300 hover:bg-gray-800 cursor-pointer">
+              <input type="checkbox" checked={selected.includes(option)} onChange={() => toggle(option)} />
+              {option}
+            </label>
+          ))}
+          {selected.length > 0 && (
+            <button
+              onClick={() => onChange([])}
+              className="w-full text-left px-2 py-1 text-xs text-blue-400 hover:underline"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </details>
+    </div>
+  );
+}
+
+export default MultiSelectFilter;
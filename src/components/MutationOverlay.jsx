@@ -0,0 +1,37 @@
+import { useSyncExternalStore } from 'react';
+import { getMutationReports, subscribeMutationReports, clearMutationReports } from '../mutationCheck';
+
+/**
+ * Development overlay listing in-place state mutations with their path and stack trace.
+ * Renders nothing until a mutation is reported.
+ */
+function MutationOverlay() {
+  const reports = useSyncExternalStore(subscribeMutationReports, getMutationReports);
+
+  if (reports.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 w-[32rem] max-h-[70vh] overflow-y-auto bg-red-950/95 text-red-100 border border-red-600 rounded-lg shadow-2xl p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-bold text-lg">⚠️ State mutated in place ({reports.length})</h3>
+        <button
+          onClick={clearMutationReports}
+          className="text-xs bg-red-700 hover:bg-red-600 text-white py-1 px-3 rounded-md"
+        >
+          Dismiss
+        </button>
+      </div>
+      <ul className="space-y-3">
+        {reports.map(report => (
+          <li key={report.id} className="bg-black/40 rounded-md p-3">
+            <div className="font-mono text-sm text-yellow-300">{report.path}</div>
+            <div className="text-sm mt-1">{report.message}</div>
+            <pre className="text-xs text-red-300 mt-2 whitespace-pre-wrap break-all">{report.stack}</pre>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default MutationOverlay;
@@ -1,5 +1,6 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
+import EnvironmentSwitcher from './EnvironmentSwitcher';
 
 const Navbar = () => {
   return (
@@ -10,7 +11,7 @@ const Navbar = () => {
             React Performance
           </Link>
         </div>
-        <ul className="flex space-x-6">
+        <ul className="flex items-center space-x-6">
           <li>
             <Link
               to="/"
@@ -35,6 +36,11 @@ const Navbar = () => {
               Work Orders
             </Link>
           </li>
+          {import.meta.env.DEV && (
+            <li>
+              <EnvironmentSwitcher />
+            </li>
+          )}
         </ul>
       </div>
     </nav>
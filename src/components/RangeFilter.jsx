@@ -0,0 +1,38 @@
+const inputClass = 'w-full min-w-0 px-2 py-2 bg-gray-900 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 [color-scheme:dark]';
+
+/**
+ * Pair of inputs for a range filter (dates or numbers); an empty end is open
+ * @param {Object} props - { label, type: 'date' | 'number', from, to, onFromChange, onToChange, min, max }
+ */
+function RangeFilter({ label, type, from, to, onFromChange, onToChange, min, max }) {
+  const bounds = type === 'number' ? { min, max } : {};
+
+  return (
+    <div>
+      <span className="block text-sm font-semibold text-gray-300 mb-2">{label}</span>
+      <div className="flex items-center gap-1">
+        <input
+          type={type}
+          value={from}
+          onChange={(e) => onFromChange(e.target.value)}
+          placeholder="min"
+          aria-label={`${label} from`}
+          className={inputClass}
+          {...bounds}
+        />
+        <span className="text-gray-500">–</span>
+        <input
+          type={type}
+          value={to}
+          onChange={(e) => onToChange(e.target.value)}
+          placeholder="max"
+          aria-label={`${label} to`}
+          className={inputClass}
+          {...bounds}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default RangeFilter;
@@ -0,0 +1,61 @@
+import { useState, useMemo } from 'react';
+import { summarizeRejections } from '../utils/workOrderSchema';
+
+const MAX_LISTED = 200; // Rows in the drill-down list; the summary still counts all of them
+
+/**
+ * Summary of the records schema validation quarantined ("312 records rejected: missing dueDate"),
+ * expandable into a list of each rejected record and why it failed.
+ */
+function RejectedRecordsPanel({ rejected }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const reasons = useMemo(() => summarizeRejections(rejected), [rejected]);
+
+  if (rejected.length === 0) return null;
+
+  const headline = reasons.length === 1
+    ? reasons[0].message
+    : reasons.slice(0, 2).map(reason => `${reason.message} (${reason.count.toLocaleString()})`).join(', ') +
+      (reasons.length > 2 ? ` and ${reasons.length - 2} more` : '');
+
+  return (
+    <div className="bg-yellow-900/30 border border-yellow-700 rounded-lg text-sm">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="w-full flex justify-between items-center px-4 py-2 text-left text-yellow-400"
+      >
+        <span>
+          ⚠ {rejected.length.toLocaleString()} {rejected.length === 1 ? 'record' : 'records'} rejected: {headline}
+        </span>
+        <span className="text-xs text-yellow-600">{isOpen ? 'Hide ▲' : 'Details ▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="border-t border-yellow-800 px-4 py-3">
+          <div className="flex flex-wrap gap-2 mb-3">
+            {reasons.map(reason => (
+              <span key={reason.message} className="bg-gray-800 text-gray-300 text-xs px-2 py-1 rounded">
+                {reason.message}: {reason.count.toLocaleString()}
+              </span>
+            ))}
+          </div>
+          <ul className="max-h-64 overflow-y-auto font-mono text-xs space-y-1">
+            {rejected.slice(0, MAX_LISTED).map((entry, i) => (
+              <li key={i} className="flex gap-4 bg-gray-800 rounded px-2 py-1">
+                <span className="w-28 text-blue-400">{entry.id ?? `#${entry.index}`}</span>
+                <span className="text-red-400">{entry.errors.map(error => error.message).join(', ')}</span>
+              </li>
+            ))}
+          </ul>
+          {rejected.length > MAX_LISTED && (
+            <p className="text-xs text-gray-500 mt-2">
+              Showing the first {MAX_LISTED} of {rejected.length.toLocaleString()} rejected records
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RejectedRecordsPanel;
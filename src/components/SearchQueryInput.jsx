@@ -0,0 +1,118 @@
+import { useState, useRef } from 'react';
+import { suggestSearchQuery } from '../utils/searchQuery';
+
+/**
+ * Search box for the work order query syntax (utils/searchQuery): marks syntax errors inline
+ * and suggests field names and known values for the term at the caret.
+ * Arrow keys pick a suggestion, Tab or Enter applies it, Escape closes the list.
+ */
+function SearchQueryInput({ value, onChange, errors, placeholder }) {
+  const inputRef = useRef(null);
+  const [cursor, setCursor] = useState(null); // Caret position while focused, null when blurred
+  const [active, setActive] = useState(-1); // Highlighted suggestion
+  const [dismissed, setDismissed] = useState(false); // Escape pressed, until the next edit
+
+  const suggestions = cursor !== null && !dismissed ? suggestSearchQuery(value, cursor) : null;
+
+  const trackCursor = (event) => setCursor(event.target.selectionStart);
+
+  const handleChange = (event) => {
+    setDismissed(false);
+    setActive(-1);
+    setCursor(event.target.selectionStart);
+    onChange(event.target.value);
+  };
+
+  const apply = (item) => {
+    const { start, end } = suggestions;
+    // Values are complete terms, so a space after one starts the next; field names wait for their value
+    const insert = item.value.endsWith(':') || end < value.length ? item.value : `${item.value} `;
+    const next = value.slice(0, start) + insert + value.slice(end);
+    const caret = start + insert.length;
+
+    setActive(-1);
+    setCursor(caret);
+    onChange(next);
+    requestAnimationFrame(() => inputRef.current?.setSelectionRange(caret, caret));
+  };
+
+  const handleKeyDown = (event) => {
+    if (!suggestions) return;
+    const count = suggestions.items.length;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      // -1 is the input itself, so Enter goes back to searching
+      setActive(index => {
+        const next = index + step;
+        if (next < -1) return count - 1;
+        return next >= count ? -1 : next;
+      });
+    } else if (event.key === 'Tab' || (event.key === 'Enter' && active >= 0)) {
+      event.preventDefault();
+      apply(suggestions.items[Math.max(active, 0)]);
+    } else if (event.key === 'Escape') {
+      setDismissed(true);
+    }
+  };
+
+  const hasErrors = errors.length > 0;
+
+  return (
+    <div className="relative">
+      <input
+        ref={inputRef}
+        type="text"
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onKeyUp={trackCursor}
+        onClick={trackCursor}
+        onFocus={trackCursor}
+        onBlur={() => setCursor(null)}
+        placeholder={placeholder}
+        spellCheck={false}
+        aria-invalid={hasErrors}
+        className={`w-full px-4 py-2 bg-gray-900 border rounded-lg text-white font-mono text-sm placeholder-gray-500 focus:outline-none focus:ring-2 focus:border-transparent ${
+          hasErrors ? 'border-red-500 focus:ring-red-500' : 'border-gray-600 focus:ring-blue-500'
+        }`}
+      />
+
+      {hasErrors && (
+        <ul className="mt-1 text-xs text-red-400 space-y-0.5">
+          {errors.map(error => (
+            <li key={`${error.start}-${error.message}`}>
+              <span className="font-mono bg-red-900/40 px-1 rounded">{value.slice(error.start, error.end)}</span>{' '}
+              {error.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {suggestions && (
+        <ul className="absolute z-20 left-0 right-0 mt-1 bg-gray-900 border border-gray-600 rounded-lg shadow-lg overflow-hidden text-sm">
+          {suggestions.items.map((item, index) => (
+            <li
+              key={item.label}
+              // mousedown, not click: the input would blur first and close the list
+              onMouseDown={(event) => {
+                event.preventDefault();
+                apply(item);
+              }}
+              onMouseEnter={() => setActive(index)}
+              className={`flex justify-between px-3 py-1.5 cursor-pointer ${
+                index === active ? 'bg-blue-600 text-white' : 'text-gray-300'
+              }`}
+            >
+              <span className="font-mono">{item.label}</span>
+              <span className="text-xs text-gray-500">{item.detail}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SearchQueryInput;
@@ -0,0 +1,20 @@
+import { useState } from 'react';
+import { createStore } from '../store';
+import { StoreContext } from '../context/StoreContext';
+
+/**
+ * Makes a store available to useStore/useSelector in the subtree.
+ * Pass an existing `store`, or an `initialState` to create one owned by the provider.
+ */
+function StoreProvider({ store, initialState, children }) {
+  // Created once per provider instance, so sibling providers stay isolated
+  const [ownStore] = useState(() => store ?? createStore(initialState));
+
+  return (
+    <StoreContext.Provider value={store ?? ownStore}>
+      {children}
+    </StoreContext.Provider>
+  );
+}
+
+export default StoreProvider;
@@ -0,0 +1,164 @@
+import { useState } from 'react';
+import { STATUSES, PRIORITIES, DEPARTMENTS, ASSIGNEES, WORK_TYPES } from '../utils/mockData';
+import { validateRecord, errorsByField, WORK_ORDER_INPUT_SCHEMA } from '../utils/workOrderSchema';
+
+const inputClass = 'w-full px-3 py-2 bg-gray-900 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// ISO date-time -> value of an <input type="date"> in local time
+function toDateInput(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Form fields are strings; the schema wants integers and ISO dates. Empty stays undefined so it reads as missing.
+// An untouched due date keeps its original time of day instead of becoming local midnight.
+function toInput(form, original) {
+  const number = (value) => (value === '' ? undefined : Number(value));
+  const dueDate = form.dueDate === toDateInput(original?.dueDate)
+    ? original?.dueDate
+    : form.dueDate && new Date(`${form.dueDate}T00:00:00`).toISOString();
+
+  return {
+    title: form.title,
+    description: form.description,
+    status: form.status,
+    priority: form.priority,
+    department: form.department,
+    assignee: form.assignee,
+    workType: form.workType,
+    dueDate: dueDate || undefined,
+    estimatedHours: number(form.estimatedHours),
+    completionPercentage: number(form.completionPercentage)
+  };
+}
+
+function Field({ label, error, children }) {
+  return (
+    <label className="block">
+      <span className="block text-sm font-semibold text-gray-300 mb-1">{label}</span>
+      {children}
+      {error && <span className="block text-xs text-red-400 mt-1">{error}</span>}
+    </label>
+  );
+}
+
+/**
+ * Create or edit a work order. Input is checked against the WorkOrderInput schema
+ * from src/openapi.json before onSubmit receives it.
+ */
+function WorkOrderForm({ workOrder, onSubmit, onCancel }) {
+  const [form, setForm] = useState(() => ({
+    title: workOrder?.title ?? '',
+    description: workOrder?.description ?? '',
+    status: workOrder?.status ?? STATUSES[0],
+    priority: workOrder?.priority ?? PRIORITIES[1],
+    department: workOrder?.department ?? DEPARTMENTS[0],
+    assignee: workOrder?.assignee ?? '',
+    workType: workOrder?.workType ?? WORK_TYPES[0],
+    dueDate: toDateInput(workOrder?.dueDate),
+    estimatedHours: String(workOrder?.estimatedHours ?? ''),
+    completionPercentage: String(workOrder?.completionPercentage ?? 0)
+  }));
+  const [errors, setErrors] = useState({});
+
+  const update = (field) => (event) => setForm(prev => ({ ...prev, [field]: event.target.value }));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const { value, errors: validationErrors } = validateRecord(toInput(form, workOrder), WORK_ORDER_INPUT_SCHEMA);
+    setErrors(errorsByField(validationErrors));
+    if (value) onSubmit(value);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60" onClick={onCancel}>
+      <form
+        onSubmit={handleSubmit}
+        onClick={(event) => event.stopPropagation()}
+        noValidate
+        className="w-full max-w-2xl bg-gray-800 text-white rounded-lg border border-gray-600 shadow-2xl p-6"
+      >
+        <h2 className="text-2xl font-bold mb-4">
+          {workOrder ? `Edit ${workOrder.id}` : 'New Work Order'}
+        </h2>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div className="col-span-2">
+            <Field label="Title" error={errors.title}>
+              <input type="text" value={form.title} onChange={update('title')} className={inputClass} autoFocus />
+            </Field>
+          </div>
+
+          <div className="col-span-2">
+            <Field label="Description" error={errors.description}>
+              <textarea value={form.description} onChange={update('description')} rows={2} className={inputClass} />
+            </Field>
+          </div>
+
+          <Field label="Status" error={errors.status}>
+            <select value={form.status} onChange={update('status')} className={inputClass}>
+              {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+            </select>
+          </Field>
+
+          <Field label="Priority" error={errors.priority}>
+            <select value={form.priority} onChange={update('priority')} className={inputClass}>
+              {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+            </select>
+          </Field>
+
+          <Field label="Department" error={errors.department}>
+            <select value={form.department} onChange={update('department')} className={inputClass}>
+              {DEPARTMENTS.map(dept => <option key={dept} value={dept}>{dept}</option>)}
+            </select>
+          </Field>
+
+          <Field label="Work Type" error={errors.workType}>
+            <select value={form.workType} onChange={update('workType')} className={inputClass}>
+              {WORK_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+          </Field>
+
+          <Field label="Assignee" error={errors.assignee}>
+            <input type="text" list="work-order-assignees" value={form.assignee} onChange={update('assignee')} className={inputClass} />
+            <datalist id="work-order-assignees">
+              {ASSIGNEES.map(name => <option key={name} value={name} />)}
+            </datalist>
+          </Field>
+
+          <Field label="Due Date" error={errors.dueDate}>
+            <input type="date" value={form.dueDate} onChange={update('dueDate')} className={inputClass} />
+          </Field>
+
+          <Field label="Estimated Hours" error={errors.estimatedHours}>
+            <input type="number" min="0" step="1" value={form.estimatedHours} onChange={update('estimatedHours')} className={inputClass} />
+          </Field>
+
+          <Field label="Completion %" error={errors.completionPercentage}>
+            <input type="number" min="0" max="100" step="1" value={form.completionPercentage} onChange={update('completionPercentage')} className={inputClass} />
+          </Field>
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg font-semibold transition-all"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold transition-all"
+          >
+            {workOrder ? 'Save Changes' : 'Create Work Order'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default WorkOrderForm;
@@ -1,12 +1,16 @@
 import React from 'react';
 import { Outlet } from 'react-router-dom';
 import Navbar from '../Navbar';
+import MutationOverlay from '../MutationOverlay';
+import MockApiPanel from '../MockApiPanel';
 
 const Layout = () => {
   return (
     <div>
       <Navbar />
       <Outlet />
+      {import.meta.env.DEV && <MutationOverlay />}
+      {import.meta.env.DEV && <MockApiPanel />}
     </div>
   );
 };
@@ -0,0 +1,142 @@
+/**
+ * API environment configuration
+ *
+ * Every API call and link reads its host from here. Values are layered:
+ * built-in defaults < Vite env vars (VITE_*) < runtime /config.json < the
+ * environment a developer picked in the UI (remembered in localStorage).
+ */
+
+const env = import.meta.env;
+const SELECTED_ENV_KEY = 'apiEnvironment';
+const RUNTIME_CONFIG_TIMEOUT = 3000; // The app renders only after /config.json, so don't wait long for it
+
+// baseUrl null = not configured for this build; it is listed but cannot be selected
+const DEFAULT_ENVIRONMENTS = {
+  local: {
+    label: 'Local mock',
+    baseUrl: env.VITE_LOCAL_API_URL || '/api',
+    controlUrl: '/__mock/config', // Fault settings of server/mockApi.js
+    supportsQuery: true, // Server-side filtering, sorting and pagination
+    supportsEvents: true // Live updates from /workorders/events
+  },
+  staging: {
+    label: 'Staging',
+    baseUrl: env.VITE_STAGING_API_URL || null,
+    supportsQuery: false,
+    supportsEvents: false
+  },
+  production: {
+    label: 'Production',
+    baseUrl: env.VITE_PRODUCTION_API_URL || 'https://extra-aubry-chainx-d938c098.koyeb.app',
+    supportsQuery: false,
+    supportsEvents: false
+  }
+};
+
+let config = {
+  environments: DEFAULT_ENVIRONMENTS,
+  defaultEnvironment: env.VITE_API_ENV || 'production',
+  timeout: Number(env.VITE_API_TIMEOUT) || 8000 // 8 second timeout
+};
+let selectedEnvironment = readSelection();
+let apiConfig = resolveApiConfig();
+const listeners = new Set();
+
+function readSelection() {
+  try {
+    return localStorage.getItem(SELECTED_ENV_KEY);
+  } catch {
+    return null;
+  }
+}
+
+// Selected environment if it is usable, then the default, then the first configured one,
+// then the built-in production API when the runtime config left no environment with a baseUrl
+function resolveApiConfig() {
+  const { environments, defaultEnvironment, timeout } = config;
+  const usable = (name) => Boolean(environments[name]?.baseUrl);
+
+  let name = usable(selectedEnvironment) ? selectedEnvironment : defaultEnvironment;
+  if (!usable(name)) {
+    const fallback = Object.keys(environments).find(usable);
+    if (!fallback) {
+      console.warn('No API environment has a baseUrl configured, using the built-in production API');
+      return { name: 'production', timeout, ...DEFAULT_ENVIRONMENTS.production };
+    }
+    console.warn(`API environment "${name}" has no baseUrl configured, using "${fallback}"`);
+    name = fallback;
+  }
+
+  return { name, timeout, ...environments[name] };
+}
+
+function update() {
+  apiConfig = resolveApiConfig();
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Merge /config.json over the build-time config. Missing, invalid or slow (see RUNTIME_CONFIG_TIMEOUT) files are ignored.
+ * @param {string} [url='/config.json'] - Runtime config location
+ * @returns {Promise<void>}
+ */
+export async function loadRuntimeConfig(url = '/config.json') {
+  try {
+    const response = await fetch(url, { cache: 'no-store', signal: AbortSignal.timeout(RUNTIME_CONFIG_TIMEOUT) });
+    if (!response.ok) return;
+
+    const runtime = await response.json();
+    const environments = { ...config.environments };
+    Object.entries(runtime.environments ?? {}).forEach(([name, overrides]) => {
+      environments[name] = { label: name, supportsQuery: false, supportsEvents: false, ...environments[name], ...overrides };
+    });
+
+    config = {
+      environments,
+      defaultEnvironment: runtime.defaultEnvironment ?? config.defaultEnvironment,
+      timeout: runtime.timeout ?? config.timeout
+    };
+    update();
+  } catch (error) {
+    console.warn('Runtime config not loaded, using build-time config:', error.message);
+  }
+}
+
+/**
+ * Active API environment
+ * @returns {{ name: string, label: string, baseUrl: string, timeout: number, supportsQuery: boolean, supportsEvents: boolean }} Config
+ */
+export function getApiConfig() {
+  return apiConfig;
+}
+
+/**
+ * Every known environment, keyed by name
+ * @returns {Object} Environments
+ */
+export function getEnvironments() {
+  return config.environments;
+}
+
+/**
+ * Switch the active environment and remember the choice
+ * @param {string} name - Environment name
+ */
+export function setEnvironment(name) {
+  if (!config.environments[name]?.baseUrl) {
+    throw new Error(`API environment "${name}" is not configured`);
+  }
+
+  selectedEnvironment = name;
+  try {
+    localStorage.setItem(SELECTED_ENV_KEY, name);
+  } catch {
+    // Private mode - the choice just won't survive a reload
+  }
+  update();
+}
+
+export function subscribeApiConfig(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
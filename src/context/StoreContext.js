@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// Holds the store created by the nearest StoreProvider
+export const StoreContext = createContext(null);
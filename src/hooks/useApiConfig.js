@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from 'react';
+import { getApiConfig, subscribeApiConfig } from '../config';
+
+/**
+ * Active API environment; re-renders when a developer switches environments
+ * @returns {Object} Config from getApiConfig()
+ */
+function useApiConfig() {
+  return useSyncExternalStore(subscribeApiConfig, getApiConfig);
+}
+
+export { useApiConfig };
@@ -0,0 +1,108 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+const cancelledError = () => new DOMException('Filter query was cancelled', 'AbortError');
+
+// Longest unchanged start and end of the list (by identity), so one splice brings the worker
+// up to date: a streamed chunk, an edited row or a deleted one sends only what changed.
+function diffRows(prev, next) {
+  const shorter = Math.min(prev.length, next.length);
+  let start = 0;
+  while (start < shorter && prev[start] === next[start]) start++;
+
+  let end = 0;
+  while (end < shorter - start && prev[prev.length - 1 - end] === next[next.length - 1 - end]) end++;
+
+  return { start, deleteCount: prev.length - start - end, items: next.slice(start, next.length - end) };
+}
+
+// Remove and return the query waiting for an answer, if any
+function takePending(pendingRef) {
+  const pending = pendingRef.current;
+  pendingRef.current = null;
+  return pending;
+}
+
+/**
+ * Filter a dataset in a Web Worker (src/workers/filterWorker.js). The worker gets a copy of the
+ * rows once and only the changes after that. Each query cancels the one still running.
+ * @param {Array} rows - Dataset to filter; kept in sync with the worker while enabled
+ * @param {boolean} enabled - Start the worker; false terminates it
+ * @returns {{ filter: Function, cancel: Function }} filter(query, options) resolves with { items, indices, filterTime, roundTripTime }
+ *   and rejects with an AbortError when a newer query or a change of rows makes it stale
+ */
+function useFilterWorker(rows, enabled) {
+  const workerRef = useRef(null);
+  const syncedRef = useRef({ rows: [], version: 0 }); // What the worker has
+  const pendingRef = useRef(null); // { id, resolve, reject, startTime }
+  const nextIdRef = useRef(0);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const worker = new Worker(new URL('../workers/filterWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      if (pendingRef.current?.id !== data.id) return; // Answer to a query that was cancelled here already
+
+      const { resolve, reject, startTime } = takePending(pendingRef);
+      const synced = syncedRef.current;
+      if (data.type === 'error') {
+        reject(new Error(data.message));
+      } else if (data.type === 'cancelled' || data.version !== synced.version) {
+        reject(cancelledError());
+      } else {
+        const indices = new Int32Array(data.indices);
+        resolve({
+          items: Array.from(indices, index => synced.rows[index]),
+          indices,
+          filterTime: data.filterTime,
+          roundTripTime: performance.now() - startTime
+        });
+      }
+    };
+    worker.onerror = (event) => takePending(pendingRef)?.reject(new Error(event.message));
+
+    workerRef.current = worker;
+    syncedRef.current = { rows: [], version: 0 };
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+      takePending(pendingRef)?.reject(cancelledError());
+    };
+  }, [enabled]);
+
+  // Declared after the effect above, so a new worker is created before it is sent the rows
+  useEffect(() => {
+    const worker = workerRef.current;
+    const synced = syncedRef.current;
+    if (!worker || synced.rows === rows) return;
+
+    const version = synced.version + 1;
+    worker.postMessage({ type: 'splice', version, ...diffRows(synced.rows, rows) });
+    syncedRef.current = { rows, version };
+  }, [rows, enabled]);
+
+  const cancel = useCallback(() => {
+    const pending = takePending(pendingRef);
+    if (!pending) return;
+    workerRef.current?.postMessage({ type: 'cancel', id: pending.id });
+    pending.reject(cancelledError());
+  }, []);
+
+  const filter = useCallback((query, options = {}) => new Promise((resolve, reject) => {
+    const worker = workerRef.current;
+    if (!worker) {
+      reject(new Error('Filter worker is not running'));
+      return;
+    }
+
+    cancel();
+    const id = ++nextIdRef.current;
+    pendingRef.current = { id, resolve, reject, startTime: performance.now() };
+    worker.postMessage({ type: 'filter', id, query, options });
+  }), [cancel]);
+
+  return { filter, cancel };
+}
+
+export { useFilterWorker };
@@ -1,26 +1,91 @@
-import { useState, useEffect, useRef } from 'react';
-import { subscribe, getState, shallowEqual } from '../store';
-
-function useSelector(selector) {
-  const lastSelectedRef = useRef();
-  const [selected, setSelected] = useState(() => {
-    const initial = selector(getState());
-    lastSelectedRef.current = initial;
-    return initial;
-  });
-
-  useEffect(() => {
-    const unsubscribe = subscribe(() => {
-      const newSelected = selector(getState());
-      if (!shallowEqual(lastSelectedRef.current, newSelected)) {
-        lastSelectedRef.current = newSelected;
-        setSelected(newSelected);
-      }
-    });
-    return unsubscribe;
-  }, [selector]);
-
-  return selected;
+import { useMemo, useState, useSyncExternalStore } from 'react';
+import { shallowEqual } from '../store';
+import { useStore } from './useStore';
+
+// Selectors already checked. Each function is called a second time once, on its first selection.
+const checkedSelectors = new WeakSet();
+
+/**
+ * Warn in development when a selector's results for the same state are not equal under the
+ * equality function in use: every update then looks like a change and re-renders.
+ * A new object that the equality function accepts (e.g. with shallowEqual) is fine.
+ * @param {Function} selector - Selector being checked
+ * @param {Function} equalityFn - Equality function the component uses
+ * @param {Object} state - State it was just called with
+ * @param {*} selection - What it returned for that state
+ */
+function checkSelectorStability(selector, equalityFn, state, selection) {
+  if (checkedSelectors.has(selector)) return;
+
+  checkedSelectors.add(selector);
+  if (equalityFn(selector(state), selection)) return;
+
+  console.warn(
+    `useSelector: selector returned results for unchanged state that ${equalityFn.name || 'the equality function'} ` +
+    'considers different, so the component re-renders on every update. ' +
+    'Wrap derived arrays/objects in createSelector (src/selectors.js) to keep them stable.',
+    selector
+  );
+}
+
+/**
+ * Build a snapshot getter that remembers its last selection
+ * @param {Object} store - Store to read from
+ * @param {Function} selector - Picks the data the component needs from state
+ * @param {Function} equalityFn - Decides if a new selection is a change
+ * @param {Object} memo - { current: { state, selector, selection } | null }, shared by every getter
+ *   of one component so the last selection outlives a new inline selector
+ * @returns {Function} Getter returning the same reference while the selection is "equal"
+ */
+function createSelectionGetter(store, selector, equalityFn, memo) {
+  return () => {
+    const state = store.getState();
+    const last = memo.current;
+
+    // Same state and selector - the selection cannot have changed
+    if (last && last.selector === selector && Object.is(last.state, state)) {
+      return last.selection;
+    }
+
+    const nextSelection = selector(state);
+
+    if (import.meta.env.DEV) {
+      checkSelectorStability(selector, equalityFn, state, nextSelection);
+    }
+
+    // Hand back the previous reference so React bails out of the re-render,
+    // also when the selector is a new inline function from a parent re-render
+    const selection = last && equalityFn(last.selection, nextSelection) ? last.selection : nextSelection;
+    memo.current = { state, selector, selection };
+    return selection;
+  };
+}
+
+/**
+ * Subscribe a component to a slice of the nearest StoreProvider's store.
+ *
+ * Built on useSyncExternalStore so every component reads the same snapshot
+ * during a concurrent render (no tearing), and updates fired between render
+ * and subscription are picked up instead of lost.
+ *
+ * @param {Function} selector - Picks the data the component needs from state
+ * @param {Function} [equalityFn=shallowEqual] - Decides if a new selection is a change
+ *   (strictEqual, shallowEqual, deepEqual from the store, or any custom comparator)
+ * @returns {*} The selected value
+ */
+function useSelector(selector, equalityFn = shallowEqual) {
+  // Inline selectors create a new snapshot getter per render, but `subscribe`
+  // stays the same function per store, so React never resubscribes.
+  // The last selection lives in one holder per component, so equalityFn still applies across
+  // those getters. (Not a ref: getSnapshot reads it during render, as useSyncExternalStoreWithSelector does.)
+  const store = useStore();
+  const [memo] = useState(() => ({ current: null }));
+  const getSelection = useMemo(
+    () => createSelectionGetter(store, selector, equalityFn, memo),
+    [store, selector, equalityFn, memo]
+  );
+
+  return useSyncExternalStore(store.subscribe, getSelection, getSelection);
 }
 
-export { useSelector };
\ No newline at end of file
+export { useSelector };
@@ -0,0 +1,18 @@
+import { useContext } from 'react';
+import { StoreContext } from '../context/StoreContext';
+
+/**
+ * Read the store from the nearest StoreProvider
+ * @returns {{ getState: Function, setState: Function, subscribe: Function }} Store API
+ */
+function useStore() {
+  const store = useContext(StoreContext);
+
+  if (!store) {
+    throw new Error('useStore must be used inside a <StoreProvider>');
+  }
+
+  return store;
+}
+
+export { useStore };
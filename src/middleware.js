@@ -0,0 +1,128 @@
+// Store middleware: logging, validation, analytics and an in-app action log
+// Every middleware has the shape store => next => action => result
+
+/**
+ * Log every action with the state before and after it
+ * @param {Object} [options] - Logger options
+ * @param {boolean} [options.collapsed=true] - Collapse the console group
+ * @returns {Function} Middleware
+ */
+export function createLogger({ collapsed = true } = {}) {
+  return (store) => (next) => (action) => {
+    const prevState = store.getState();
+    const result = next(action);
+    const group = collapsed ? console.groupCollapsed : console.group;
+
+    group(`action ${action.type}`);
+    console.log('prev state', prevState);
+    console.log('action', action);
+    console.log('next state', store.getState());
+    console.groupEnd();
+
+    return result;
+  };
+}
+
+/**
+ * Reject actions that fail validation before they reach the store
+ * @param {Object} validators - Map of action type => (action, state) => error message or null
+ * @param {Object} [options] - Validation options
+ * @param {Function} [options.onReject] - Called with (action, message) for every rejected action
+ * @returns {Function} Middleware
+ */
+export function createValidator(validators, { onReject } = {}) {
+  return (store) => (next) => (action) => {
+    const validate = validators[action.type];
+    const message = validate ? validate(action, store.getState()) : null;
+
+    if (message) {
+      console.warn(`Rejected action ${action.type}: ${message}`);
+      onReject?.(action, message);
+      return action;
+    }
+
+    return next(action);
+  };
+}
+
+/**
+ * Report every applied action to an analytics callback
+ * @param {Function} track - Called with (type, payload) after the action is applied
+ * @returns {Function} Middleware
+ */
+export function createAnalytics(track) {
+  return () => (next) => (action) => {
+    const result = next(action);
+    track(action.type, action.payload);
+    return result;
+  };
+}
+
+/**
+ * Diff the top-level slices whose reference changed between two states
+ * @param {Object} before - State before the action
+ * @param {Object} after - State after the action
+ * @returns {Array<{ slice: string, before: *, after: * }>} Changed slices
+ */
+export function diffSlices(before, after) {
+  const keys = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+  const changes = [];
+
+  for (const slice of keys) {
+    if (before?.[slice] !== after?.[slice]) {
+      changes.push({ slice, before: before?.[slice], after: after?.[slice] });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Record every action together with the slices it touched
+ * @param {Object} [options] - Log options
+ * @param {number} [options.limit=100] - Maximum number of entries kept
+ * @returns {{ middleware: Function, getEntries: Function, subscribe: Function, clear: Function }} Action log
+ */
+export function createActionLog({ limit = 100 } = {}) {
+  let entries = [];
+  let nextId = 1;
+  const listeners = new Set();
+
+  function notify() {
+    listeners.forEach(listener => listener());
+  }
+
+  const middleware = (store) => (next) => (action) => {
+    const before = store.getState();
+    const result = next(action);
+    const after = store.getState();
+
+    // New array each time so useSyncExternalStore sees the change
+    entries = [
+      {
+        id: nextId++,
+        type: action.type,
+        payload: action.payload,
+        timestamp: Date.now(),
+        changes: diffSlices(before, after)
+      },
+      ...entries
+    ].slice(0, limit);
+    notify();
+
+    return result;
+  };
+
+  return {
+    middleware,
+    getEntries: () => entries,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    clear() {
+      entries = [];
+      notify();
+    }
+  };
+}
@@ -0,0 +1,114 @@
+// Development-only detection of in-place state mutations
+// The store hands out read-only views of its state; a write through one throws and is reported
+// with its path, collected here and shown by MutationOverlay instead of failing silently.
+
+let reports = [];
+let nextId = 1;
+const listeners = new Set();
+
+/**
+ * Record a mutation report and notify the overlay
+ * @param {Object} report - { path, message, actionType, stack }
+ */
+export function reportMutation(report) {
+  reports = [...reports, { id: nextId++, timestamp: Date.now(), ...report }];
+  listeners.forEach(listener => listener());
+}
+
+export function getMutationReports() {
+  return reports;
+}
+
+export function subscribeMutationReports(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function clearMutationReports() {
+  reports = [];
+  listeners.forEach(listener => listener());
+}
+
+const isPlainContainer = (value) =>
+  Array.isArray(value) || (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype);
+
+const rawOf = new WeakMap(); // Read-only view -> the object it shows
+const viewOf = new WeakMap(); // Object -> its read-only view
+const pathOf = new WeakMap(); // Object -> where it sits in state, e.g. "cart.items.0"
+
+const join = (path, key) => (path ? `${path}.${String(key)}` : String(key));
+
+/**
+ * The object behind a read-only view (anything else is returned as is).
+ * Needed where state is structured-cloned (postMessage, IndexedDB), which can't clone a Proxy.
+ * @param {*} value - Value from getState()
+ * @returns {*} Plain value; state kept by protectState holds no views, however deep
+ */
+export function toRaw(value) {
+  return rawOf.get(value) ?? value;
+}
+
+// Every write through a view is reported with its full path, then fails like a write to frozen state
+function rejectWrite(target, key, verb) {
+  const path = join(pathOf.get(target) ?? '', key);
+  const message = `Cannot ${verb} "${path}": state is read-only, dispatch an action instead`;
+  reportMutation({ path, message, stack: new Error(message).stack });
+  throw new TypeError(message);
+}
+
+const readOnlyHandler = {
+  get(target, key, receiver) {
+    const value = Reflect.get(target, key, receiver);
+    // Frozen objects guard themselves, and a Proxy must return their values unchanged
+    if (typeof key === 'symbol' || Object.isFrozen(target)) return value;
+    return readOnly(value);
+  },
+  set: (target, key) => rejectWrite(target, key, 'assign to'),
+  deleteProperty: (target, key) => rejectWrite(target, key, 'delete'),
+  defineProperty: (target, key) => rejectWrite(target, key, 'define'),
+  setPrototypeOf: (target) => rejectWrite(target, '__proto__', 'assign to')
+};
+
+/**
+ * Read-only view of plain objects and arrays: reads pass through (nested containers come back
+ * as views too), writes throw and are reported. Views are cached, so the same object always
+ * gets the same view and reference equality between states still holds.
+ * @param {*} value - Value to guard
+ * @returns {*} View, or the value itself when it isn't a plain container
+ */
+export function readOnly(value) {
+  if (!isPlainContainer(value) || rawOf.has(value)) return value;
+
+  let view = viewOf.get(value);
+  if (!view) {
+    view = new Proxy(value, readOnlyHandler);
+    viewOf.set(value, view);
+    rawOf.set(view, value);
+  }
+  return view;
+}
+
+/**
+ * Prepare a new state for read-only views: record where each new object sits, and swap views
+ * that reducers copied into it (`{ ...state, cart }`) for the objects behind them.
+ * Objects seen in an earlier state are skipped, so only what an update created is walked.
+ * @param {*} state - State returned by a reducer or updater
+ * @returns {*} The same state without views, safe to store and structured-clone
+ */
+export function protectState(state) {
+  const walk = (value, path) => {
+    if (!isPlainContainer(value) || pathOf.has(value)) return;
+    pathOf.set(value, path);
+    if (Object.isFrozen(value)) return;
+
+    Object.keys(value).forEach(key => {
+      const raw = toRaw(value[key]);
+      if (raw !== value[key]) value[key] = raw;
+      walk(raw, join(path, key));
+    });
+  };
+
+  const raw = toRaw(state);
+  walk(raw, '');
+  return raw;
+}
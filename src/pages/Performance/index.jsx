@@ -1,8 +1,15 @@
-import React, { useState, useCallback, memo } from 'react';
+import React, { useState, useCallback, useEffect, memo, useSyncExternalStore } from 'react';
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import { useSelector } from '../../hooks/useSelector';
-import { setState } from '../../store';
+import { useStore } from '../../hooks/useStore';
+import { createStore, withHistory, strictEqual } from '../../store';
+import { createSelector } from '../../selectors';
+import { createLogger, createValidator, createAnalytics, createActionLog } from '../../middleware';
+import { persistStore } from '../../persist';
+import { syncTabs } from '../../sync';
+import StoreProvider from '../../components/StoreProvider';
+import ActionLogPanel from '../../components/ActionLogPanel';
 
 /**
  * A simple helper component that logs to the console and displays a timestamp
@@ -194,13 +201,26 @@ const GoodApp = () => {
 // --- Version 4: "Selective" Re-rendering ---
 // Using a store with selectors to only re-render when selected state changes.
 
-const CartBadge = () => (
-  <div className="relative bg-blue-600 text-white p-4 rounded-lg shadow-md group">
-    <ShowRender name="CartBadge" />
-    <span className="text-lg font-bold">Cart: {useSelector(state => state.cart.items).length} items</span>
-  </div>
+// Derived object, memoized on cart.items: a user rename hands back the same summary,
+// so strictEqual holds and CartBadge skips the re-render
+const selectCartSummary = createSelector(
+  [state => state.cart.items],
+  items => ({ count: items.length, last: items[items.length - 1] })
 );
 
+const CartBadge = () => {
+  const summary = useSelector(selectCartSummary, strictEqual);
+
+  return (
+    <div className="relative bg-blue-600 text-white p-4 rounded-lg shadow-md group">
+      <ShowRender name="CartBadge" />
+      <span className="text-lg font-bold">Cart: {summary.count} items</span>
+      {summary.last && <span className="ml-2 text-sm text-blue-200">last: {summary.last}</span>}
+      <span className="block text-xs text-blue-200">summary computed {selectCartSummary.recomputations()} times</span>
+    </div>
+  );
+};
+
 const UserDisplay = () => (
   <div className="relative bg-purple-600 text-white p-4 rounded-lg shadow-md group">
     <ShowRender name="UserDisplay" />
@@ -208,44 +228,171 @@ const UserDisplay = () => (
   </div>
 );
 
-const SelectiveApp = () => {
-  const addToCart = () => {
-    setState(state => ({
-      ...state,
-      cart: { items: [...state.cart.items, `item${state.cart.items.length + 1}`] }
-    }));
-  };
-
-  const updateUserName = (name) => {
-    setState(state => ({
-      ...state,
-      user: { name }
-    }));
-  };
+// Scrub through recorded snapshots and watch which subscribers re-render
+const TimeTravelSlider = () => {
+  const store = useStore();
+  const history = useSyncExternalStore(store.subscribe, store.getHistory);
 
   return (
-    <div className="grid grid-cols-1 md:grid-cols-2 gap-6 p-6 rounded-lg bg-gray-800 shadow-xl">
-      <ShowRender name="SelectiveApp (Root)" />
-      <div className="col-span-2 flex gap-4 mb-4">
+    <div className="col-span-2 bg-gray-900 text-white p-4 rounded-lg shadow-md border border-gray-700">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-lg">Time Travel</h3>
+        <span className="font-mono text-sm text-gray-400">
+          Step {history.index + 1} / {history.size}
+        </span>
+      </div>
+      <div className="flex items-center gap-4">
         <button
-          onClick={addToCart}
-          className="bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded-md shadow transition-transform transform hover:scale-105"
+          onClick={store.undo}
+          disabled={!history.canUndo}
+          className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white font-semibold py-1 px-3 rounded-md"
         >
-          Add to Cart
+          ↶ Undo
         </button>
+        <input
+          type="range"
+          min={0}
+          max={history.size - 1}
+          value={history.index}
+          onChange={(e) => store.jumpTo(Number(e.target.value))}
+          className="flex-1 accent-purple-500"
+        />
         <button
-          onClick={() => updateUserName(`User${Math.floor(Math.random() * 100)}`)}
-          className="bg-orange-600 hover:bg-orange-700 text-white font-semibold py-2 px-4 rounded-md shadow transition-transform transform hover:scale-105"
+          onClick={store.redo}
+          disabled={!history.canRedo}
+          className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white font-semibold py-1 px-3 rounded-md"
         >
-          Update User Name
+          Redo ↷
         </button>
       </div>
-      <CartBadge />
-      <UserDisplay />
     </div>
   );
 };
 
+const initialSelectiveState = {
+  cart: { items: [] },
+  user: { name: '' }
+};
+
+// Named actions make every change visible in the logger and the action log
+function selectiveReducer(state, action) {
+  switch (action.type) {
+    case 'cart/addItem':
+      return { ...state, cart: { items: [...state.cart.items, action.payload] } };
+    case 'user/rename':
+      return { ...state, user: { name: action.payload } };
+    default:
+      return state;
+  }
+}
+
+const selectiveValidators = {
+  'user/rename': (action) => (action.payload.trim() ? null : 'user name cannot be empty')
+};
+
+function createSelectiveStore() {
+  const actionLog = createActionLog();
+  const store = withHistory(createStore(initialSelectiveState, {
+    reducer: selectiveReducer,
+    middleware: [
+      createValidator(selectiveValidators),
+      createAnalytics((type) => console.debug(`[analytics] ${type}`)),
+      createLogger(),
+      actionLog.middleware
+    ]
+  }), { limit: 50 });
+  return { store, actionLog };
+}
+
+const SelectiveApp = () => {
+  // Each mount gets its own store, isolated from every other demo or feature
+  const [{ store, actionLog }] = useState(createSelectiveStore);
+
+  // Cart and user survive a reload; writes are throttled so rapid clicks cost one write
+  useEffect(() => {
+    const persistor = persistStore(store, {
+      key: 'selective-demo',
+      slices: ['cart', 'user'],
+      version: 1
+    });
+    return persistor.stop;
+  }, [store]);
+
+  // Changes made in another tab arrive as per-slice patches
+  useEffect(() => {
+    const sync = syncTabs(store, {
+      channel: 'selective-demo',
+      slices: ['cart', 'user']
+    });
+    return sync.stop;
+  }, [store]);
+
+  const addToCart = () => {
+    store.dispatch({ type: 'cart/addItem', payload: `item${store.getState().cart.items.length + 1}` });
+  };
+
+  // Three actions, one notification: subscribers run their selectors once
+  const addThreeToCart = () => {
+    store.batch(() => {
+      addToCart();
+      addToCart();
+      addToCart();
+    });
+  };
+
+  // The bug dev checks exist for: writing to state instead of dispatching.
+  // Production builds have no checks to catch it, so the demo is dev-only.
+  const mutateInPlace = () => {
+    if (import.meta.env.DEV) store.getState().cart.items.push('sneaky-item');
+  };
+
+  const updateUserName = (name) => {
+    store.dispatch({ type: 'user/rename', payload: name });
+  };
+
+  return (
+    <StoreProvider store={store}>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 p-6 rounded-lg bg-gray-800 shadow-xl">
+        <ShowRender name="SelectiveApp (Root)" />
+        <div className="col-span-2 flex gap-4 mb-4">
+          <button
+            onClick={addToCart}
+            className="bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded-md shadow transition-transform transform hover:scale-105"
+          >
+            Add to Cart
+          </button>
+          <button
+            onClick={addThreeToCart}
+            className="bg-teal-600 hover:bg-teal-700 text-white font-semibold py-2 px-4 rounded-md shadow transition-transform transform hover:scale-105"
+          >
+            Add 3 (Batched)
+          </button>
+          <button
+            onClick={() => updateUserName(`User${Math.floor(Math.random() * 100)}`)}
+            className="bg-orange-600 hover:bg-orange-700 text-white font-semibold py-2 px-4 rounded-md shadow transition-transform transform hover:scale-105"
+          >
+            Update User Name
+          </button>
+          {import.meta.env.DEV && (
+            <button
+              onClick={mutateInPlace}
+              className="bg-red-700 hover:bg-red-800 text-white font-semibold py-2 px-4 rounded-md shadow transition-transform transform hover:scale-105"
+            >
+              Mutate In Place (Bug)
+            </button>
+          )}
+        </div>
+        <CartBadge />
+        <UserDisplay />
+        <TimeTravelSlider />
+        <div className="col-span-2">
+          <ActionLogPanel log={actionLog} />
+        </div>
+      </div>
+    </StoreProvider>
+  );
+};
+
 
 // --- Main App to switch between demos ---
 
@@ -283,7 +430,7 @@ export default function Performance() {
       color: 'bg-purple-700',
       borderColor: 'border-purple-600',
       textColor: 'text-purple-200',
-      explanation: "This demonstrates selective re-rendering with a store and selectors. CartBadge only re-renders when cart.items changes. UserDisplay only re-renders when user.name changes. Click the buttons and watch only the relevant components update.",
+      explanation: "This demonstrates selective re-rendering with a store and selectors. CartBadge only re-renders when cart.items changes. UserDisplay only re-renders when user.name changes. Click the buttons and watch only the relevant components update. Every change is a named action, listed with its before/after diff in the Action Log. Drag the Time Travel slider to replay snapshots and see which subscribers re-render at each step. Open this page in a second tab: changes sync across tabs and only the affected subscribers re-render. 'Mutate In Place' (dev builds only) shows the dev-mode overlay that catches direct writes to state.",
     },
   };
   
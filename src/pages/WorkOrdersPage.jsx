@@ -1,9 +1,24 @@
 import { useState, useTransition, memo, useEffect, useRef, useCallback, useMemo } from 'react';
 import { List } from 'react-window';
-import { filterWorkOrders, filterWorkOrdersAdvanced, STATUSES, PRIORITIES, DEPARTMENTS } from '../utils/mockData';
-import { fetchWorkOrders } from '../services/workOrdersApi';
+import { ToastContainer, toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+import { STATUSES, PRIORITIES, DEPARTMENTS, ASSIGNEES, WORK_TYPES, REFERENCE_DATE } from '../utils/mockData';
+import { matchWorkOrders, createQueryComparator } from '../utils/workOrderQuery';
+import { createSearchIndex } from '../utils/searchIndex';
+import { parseSearchQuery, searchTextTerms } from '../utils/searchQuery';
+import { fetchWorkOrders, createWorkOrder, updateWorkOrder, deleteWorkOrder } from '../services/workOrdersApi';
+import { resetCircuitBreakers } from '../services/request';
+import { subscribeWorkOrderEvents, mergeWorkOrderEvent } from '../services/workOrderEvents';
+import { useApiConfig } from '../hooks/useApiConfig';
+import { useFilterWorker } from '../hooks/useFilterWorker';
 import Performance from '../components/Performance';
 import WorkOrderSkeleton from '../components/WorkOrderSkeleton';
+import RejectedRecordsPanel from '../components/RejectedRecordsPanel';
+import WorkOrderForm from '../components/WorkOrderForm';
+import SearchQueryInput from '../components/SearchQueryInput';
+import HighlightedText from '../components/HighlightedText';
+import MultiSelectFilter from '../components/MultiSelectFilter';
+import RangeFilter from '../components/RangeFilter';
 
 // Color coding constants (moved outside component to avoid recreation)
 const priorityColors = {
@@ -23,17 +38,21 @@ const statusColors = {
 };
 
 // Memoized row component to prevent unnecessary re-renders
-const WorkOrderRow = memo(({ index, style, items }) => {
+const WorkOrderRow = memo(({ index, style, items, pendingIds, highlightedIds, highlight, onEdit, onDelete }) => {
   const workOrder = items[index];
+  const isPending = pendingIds.has(workOrder.id);
+  const isHighlighted = highlightedIds.has(workOrder.id);
   
   return (
     <div 
       style={style} 
-      className="flex items-center px-6 py-2 border-b border-gray-700 hover:bg-gray-750 transition-colors"
+      className={`flex items-center px-6 py-2 border-b border-gray-700 hover:bg-gray-750 transition-colors duration-700 ${
+        isPending ? 'opacity-50' : ''
+      } ${isHighlighted ? 'bg-yellow-500/20' : ''}`}
     >
       {/* ID */}
       <div className="w-32 font-mono text-sm text-blue-400 font-semibold">
-        {workOrder.id}
+        <HighlightedText text={workOrder.id} highlight={highlight} />
       </div>
       
       {/* Priority Badge */}
@@ -45,18 +64,20 @@ const WorkOrderRow = memo(({ index, style, items }) => {
       
       {/* Title */}
       <div className="flex-1 min-w-0 px-4">
-        <div className="text-sm font-semibold text-white truncate">{workOrder.title}</div>
+        <div className="text-sm font-semibold text-white truncate">
+          <HighlightedText text={workOrder.title} highlight={highlight} />
+        </div>
         <div className="text-xs text-gray-400 truncate">{workOrder.description}</div>
       </div>
       
       {/* Assignee */}
       <div className="w-40 text-sm text-gray-300 truncate">
-        {workOrder.assignee}
+        <HighlightedText text={workOrder.assignee} highlight={highlight} />
       </div>
       
       {/* Department */}
       <div className="w-32 text-sm text-gray-400">
-        {workOrder.department}
+        <HighlightedText text={workOrder.department} highlight={highlight} />
       </div>
       
       {/* Status */}
@@ -68,17 +89,146 @@ const WorkOrderRow = memo(({ index, style, items }) => {
       <div className="w-32 text-xs text-gray-500">
         {new Date(workOrder.createdDate).toLocaleDateString()}
       </div>
+      
+      {/* Actions */}
+      <div className="w-24 flex gap-2">
+        <button
+          onClick={() => onEdit(workOrder)}
+          disabled={isPending}
+          title="Edit"
+          className="px-2 py-1 text-sm bg-gray-700 hover:bg-gray-600 rounded disabled:cursor-not-allowed"
+        >
+          ✎
+        </button>
+        <button
+          onClick={() => onDelete(workOrder)}
+          disabled={isPending}
+          title="Delete"
+          className="px-2 py-1 text-sm bg-gray-700 hover:bg-red-700 rounded disabled:cursor-not-allowed"
+        >
+          🗑
+        </button>
+      </div>
     </div>
   );
 }, (prevProps, nextProps) => {
-  // Custom comparison function - only re-render if the item data changes
-  return prevProps.items[prevProps.index]?.id === nextProps.items[nextProps.index]?.id &&
+  // Custom comparison function - only re-render if the item itself changes.
+  // Edits replace the record object, so identity (not id) is what tells a changed row apart.
+  const prevItem = prevProps.items[prevProps.index];
+  const nextItem = nextProps.items[nextProps.index];
+  return prevItem === nextItem &&
          prevProps.index === nextProps.index &&
-         prevProps.style === nextProps.style;
+         prevProps.style === nextProps.style &&
+         prevProps.pendingIds.has(prevItem?.id) === nextProps.pendingIds.has(nextItem?.id) &&
+         prevProps.highlightedIds.has(prevItem?.id) === nextProps.highlightedIds.has(nextItem?.id) &&
+         prevProps.highlight === nextProps.highlight &&
+         prevProps.onEdit === nextProps.onEdit &&
+         prevProps.onDelete === nextProps.onDelete;
 });
 
 WorkOrderRow.displayName = 'WorkOrderRow';
 
+// Sort options - values are API sort expressions ("-" = descending)
+const SORT_OPTIONS = [
+  { value: '', label: 'Default order' },
+  { value: '-createdDate', label: 'Newest first' },
+  { value: 'createdDate', label: 'Oldest first' },
+  { value: 'dueDate', label: 'Due soonest' },
+  { value: '-priority', label: 'Highest priority' },
+  { value: 'assignee', label: 'Assignee A-Z' }
+];
+
+// Filter panel before anything is picked. Values are kept the way the inputs hold them:
+// lists for multi-selects, YYYY-MM-DD days and numbers as strings (see toFilterQuery).
+const EMPTY_FILTERS = {
+  status: [],
+  priority: [],
+  department: [],
+  workType: [],
+  assignee: [],
+  createdFrom: '',
+  createdTo: '',
+  dueFrom: '',
+  dueTo: '',
+  minHours: '',
+  maxHours: '',
+  minCompletion: '',
+  maxCompletion: '',
+  overdue: false,
+  // The generated data counts back from REFERENCE_DATE, so that is "today" unless changed
+  asOf: REFERENCE_DATE.slice(0, 10)
+};
+
+// Filter panel values as query fields (see toSearchParams). Days are UTC; an end day is included in full.
+function toFilterQuery(filters) {
+  const startOfDay = (day) => (day ? `${day}T00:00:00.000Z` : undefined);
+  const endOfDay = (day) => (day ? `${day}T23:59:59.999Z` : undefined);
+  const number = (value) => (value === '' ? undefined : Number(value));
+  
+  return {
+    status: filters.status,
+    priority: filters.priority,
+    department: filters.department,
+    workType: filters.workType,
+    assignee: filters.assignee,
+    createdFrom: startOfDay(filters.createdFrom),
+    createdTo: endOfDay(filters.createdTo),
+    dueFrom: startOfDay(filters.dueFrom),
+    dueTo: endOfDay(filters.dueTo),
+    minHours: number(filters.minHours),
+    maxHours: number(filters.maxHours),
+    minCompletion: number(filters.minCompletion),
+    maxCompletion: number(filters.maxCompletion),
+    overdue: filters.overdue || undefined,
+    asOf: filters.overdue ? startOfDay(filters.asOf) : undefined
+  };
+}
+
+// Number of panel filters in use (the as-of day only counts through overdue)
+const countActiveFilters = (filters) => Object.entries(filters)
+  .filter(([key, value]) => key !== 'asOf' && (Array.isArray(value) ? value.length > 0 : Boolean(value)))
+  .length;
+
+// Row list updaters for optimistic changes
+const replaceRow = (id, next) => (rows) => rows.map(row => (row.id === id ? next : row));
+const replaceExact = (current, next) => (rows) => rows.map(row => (row === current ? next : row));
+
+// Badge colors for where the rows came from
+const dataSourceStyles = {
+  api: 'bg-green-900/50 text-green-400 border border-green-700',
+  cache: 'bg-yellow-900/50 text-yellow-400 border border-yellow-700',
+  mock: 'bg-blue-900/50 text-blue-400 border border-blue-700'
+};
+
+// "5 min ago" style age of cached data
+function formatAge(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 60 * 24) return `${Math.floor(minutes / 60)} h ago`;
+  return `${Math.floor(minutes / (60 * 24))} days ago`;
+}
+
+// Server-side query mode settings
+const SERVER_PAGE_SIZE = 500;
+const SERVER_QUERY_DEBOUNCE = 250; // ms between the last keystroke and the request
+const LOAD_MORE_THRESHOLD = 50; // rows from the end that trigger the next page
+
+// Where client-side filtering runs, to compare how each one feels while typing
+const FILTER_MODES = [
+  { value: 'main', label: 'Main thread', activeClass: 'bg-red-600', hint: 'Filters synchronously in the event handler: typing waits for it' },
+  { value: 'transition', label: 'useTransition', activeClass: 'bg-green-600', hint: 'Defers rendering the results; the filter loop still runs on the main thread' },
+  { value: 'worker', label: 'Web Worker', activeClass: 'bg-teal-600', hint: 'Filters in a worker thread; a new keystroke cancels the query in progress' }
+];
+
+const HIGHLIGHT_DURATION = 2000; // ms a row stays highlighted after a live update
+
+const liveStatusLabels = {
+  connecting: '○ Connecting...',
+  live: '● Live updates',
+  reconnecting: '○ Reconnecting...'
+};
+
 function WorkOrdersPage() {
   // State management
   const [allWorkOrders, setAllWorkOrders] = useState([]);
@@ -86,17 +236,65 @@ function WorkOrdersPage() {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  // Latest term for the filter effect, which re-runs for data and filter changes but not for typing
+  const searchTermRef = useRef('');
   const [isPending, startTransition] = useTransition();
-  const [dataSource, setDataSource] = useState(null);
+  const [dataSource, setDataSource] = useState(null); // 'api', 'cache' or 'mock'
+  const [cacheInfo, setCacheInfo] = useState(null); // { cachedAt, notModified } when the rows came from the cache
+  const [isRevalidating, setIsRevalidating] = useState(false);
+  const [retryStatus, setRetryStatus] = useState(null);
+  const [rejectedRecords, setRejectedRecords] = useState([]); // Quarantined by schema validation
+  const [loadProgress, setLoadProgress] = useState(null); // { loaded, total } while the dataset streams in
+  const [reloadKey, setReloadKey] = useState(0); // Bumped by Retry to refetch in place
+  const [editing, setEditing] = useState(null); // null, 'new' or the work order being edited
+  const [pendingIds, setPendingIds] = useState(() => new Set()); // Rows with a change in flight
+  const [highlightedIds, setHighlightedIds] = useState(() => new Set()); // Rows a live update just changed
+  const [liveStatus, setLiveStatus] = useState(null); // null, 'connecting', 'live' or 'reconnecting'
   
   // Advanced filters
-  const [statusFilter, setStatusFilter] = useState('All');
-  const [priorityFilter, setPriorityFilter] = useState('All');
-  const [departmentFilter, setDepartmentFilter] = useState('All');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sortOrder, setSortOrder] = useState('');
+  const filterQuery = useMemo(() => toFilterQuery(filters), [filters]);
+  const setFilter = useCallback((key) => (value) => setFilters(prev => ({ ...prev, [key]: value })), []);
+  
+  // Active API environment - switching it refetches everything
+  const apiConfig = useApiConfig();
+  
+  // Query mode: filter the loaded dataset in the browser, or ask the API for pages.
+  // Only environments whose API supports query parameters can run server-side.
+  const [requestedQueryMode, setQueryMode] = useState('client');
+  const queryMode = apiConfig.supportsQuery ? requestedQueryMode : 'client';
+  const [serverPage, setServerPage] = useState({ total: 0, nextCursor: null });
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const loadingMoreRef = useRef(false);
+  const pageQueryRef = useRef(null); // Server query the loaded pages belong to, null until its first page lands
+  const loadMoreControllerRef = useRef(null); // Aborts a next-page request when the query changes
   
-  // Demo mode toggle
-  const [useOptimizations, setUseOptimizations] = useState(true);
+  // Demo mode toggles
+  const [filterMode, setFilterMode] = useState('transition'); // See FILTER_MODES
   const [useVirtualization, setUseVirtualization] = useState(true);
+  const [isWorkerFiltering, setIsWorkerFiltering] = useState(false);
+  const [fuzzySearch, setFuzzySearch] = useState(false); // Typo-tolerant free text, ranked by relevance
+  const [searchIndex] = useState(createSearchIndex);
+  const { filter: filterInWorker, cancel: cancelWorkerFilter } = useFilterWorker(
+    allWorkOrders,
+    filterMode === 'worker' && queryMode === 'client'
+  );
+  
+  // Rows of the current client query among the given ones, for rows that arrive a few at a time (stream
+  // chunks, live events) and don't need the whole dataset filtered again. Read through a ref by effects
+  // that shouldn't restart when the query changes.
+  const matchRows = useCallback((rows) => (
+    matchWorkOrders(rows, { q: searchTermRef.current, ...filterQuery }, { fuzzy: fuzzySearch })
+  ), [filterQuery, fuzzySearch]);
+  const matchRowsRef = useRef(matchRows);
+  useEffect(() => {
+    matchRowsRef.current = matchRows;
+  }, [matchRows]);
+  
+  // The dataset and runFilter the filtered results were last computed from
+  const resultsDataRef = useRef(null);
+  const resultsFilterRef = useRef(null);
   
   // Fetch data from API
   useEffect(() => {
@@ -106,14 +304,57 @@ function WorkOrdersPage() {
       try {
         setIsLoading(true);
         setError(null);
+        setRetryStatus(null);
         
+        // Stale-while-revalidate: a cached copy renders at once while the API is asked in the background.
+        // Without one the response is streamed: the table is usable after the first chunk.
+        let showingCache = false;
+        let receivedChunk = false;
         const result = await fetchWorkOrders({ 
-          signal: abortController.signal 
+          signal: abortController.signal,
+          stream: true,
+          cache: true,
+          onCached: (cached) => {
+            showingCache = true;
+            setAllWorkOrders(cached.data);
+            setFilteredResults(cached.data);
+            setRejectedRecords([]);
+            setDataSource('cache');
+            setCacheInfo({ cachedAt: cached.cachedAt, notModified: false });
+            setIsRevalidating(true);
+            setIsLoading(false);
+          },
+          onRetry: ({ attempt, retries, error }) => {
+            setRetryStatus(`${error.message} - retrying (${attempt}/${retries})...`);
+          },
+          onChunk: ({ data, rejected, loaded, total }) => {
+            setLoadProgress({ loaded, total });
+            
+            // Revalidating behind cached rows: only report progress, the new data is swapped in at the end
+            if (showingCache) return;
+            
+            // The filter effect waits for the whole dataset; until then each chunk's matches are appended
+            if (receivedChunk) {
+              setAllWorkOrders(prev => [...prev, ...data]);
+              setFilteredResults(prev => [...prev, ...matchRowsRef.current(data)]);
+              setRejectedRecords(prev => (rejected.length > 0 ? [...prev, ...rejected] : prev));
+            } else {
+              receivedChunk = true;
+              setAllWorkOrders(data);
+              setFilteredResults(matchRowsRef.current(data));
+              setRejectedRecords(rejected);
+              setDataSource('api');
+              setIsLoading(false);
+            }
+          }
         });
         
         setAllWorkOrders(result.data);
-        setFilteredResults(result.data);
+        // Rows already on screen keep their filters; the filter effect re-runs for the new data
+        if (!showingCache && !receivedChunk) setFilteredResults(result.data);
+        setRejectedRecords(result.rejected);
         setDataSource(result.source);
+        setCacheInfo(result.cachedAt ? { cachedAt: result.cachedAt, notModified: Boolean(result.notModified) } : null);
         
         // Show warning if using mock data
         if (result.source === 'mock' && result.error) {
@@ -126,17 +367,21 @@ function WorkOrdersPage() {
         }
       } finally {
         setIsLoading(false);
+        setIsRevalidating(false);
+        setLoadProgress(null);
       }
     }
     
     loadData();
     
     return () => abortController.abort();
-  }, []);
+  }, [apiConfig, reloadKey]);
   
   // Performance metrics - FIXED: No effect that causes re-render loop
   const [metrics, setMetrics] = useState({
     filterTime: 0,
+    workerTime: null, // Time spent filtering inside the worker, the rest of filterTime is messaging
+    indexTime: null, // Time the last search index update took
     renderCount: 0,
     lastInputLatency: 0
   });
@@ -151,7 +396,47 @@ function WorkOrdersPage() {
     setMetrics(prev => ({ ...prev, renderCount: renderCountRef.current }));
   }, []);
   
-  // Handle search with useTransition - wrapped in useCallback
+  // Client-side filtering of rows in the selected mode. The term is passed in because handleSearch
+  // calls this before the searchTerm state has been updated.
+  const runFilter = useCallback((term, rows) => {
+    const query = { q: term, ...filterQuery, sort: sortOrder };
+    
+    if (filterMode === 'worker') {
+      setIsWorkerFiltering(true);
+      filterInWorker(query, { fuzzy: fuzzySearch }).then(({ items, filterTime, roundTripTime }) => {
+        setFilteredResults(items);
+        setMetrics(prev => ({ ...prev, filterTime: roundTripTime, workerTime: filterTime }));
+        setIsWorkerFiltering(false);
+      }, (err) => {
+        // Cancelled by a newer query, which clears the flag when it finishes
+        if (err.name === 'AbortError') return;
+        console.error('Worker filtering failed:', err);
+        setIsWorkerFiltering(false);
+      });
+      return;
+    }
+    
+    const filter = () => {
+      const startTime = performance.now();
+      const matched = matchWorkOrders(rows, query, { index: searchIndex, fuzzy: fuzzySearch });
+      const compare = createQueryComparator(query, { fuzzy: fuzzySearch, textOf: searchIndex.textOf });
+      const filtered = compare ? [...matched].sort(compare) : matched;
+      const filterTime = performance.now() - startTime;
+      
+      setFilteredResults(filtered);
+      setMetrics(prev => ({ ...prev, filterTime, workerTime: null }));
+    };
+    
+    if (filterMode === 'transition') {
+      // Non-urgent: rendering the results can be interrupted (the filter loop itself still blocks)
+      startTransition(filter);
+    } else {
+      // Without optimization - blocks the main thread
+      filter();
+    }
+  }, [filterMode, filterInWorker, searchIndex, fuzzySearch, filterQuery, sortOrder]);
+  
+  // Handle search - wrapped in useCallback
   const handleSearch = useCallback((value) => {
     const inputTime = performance.now();
     const latency = lastInputTimeRef.current ? inputTime - lastInputTimeRef.current : 0;
@@ -161,81 +446,314 @@ function WorkOrdersPage() {
     
     // Urgent: Update input immediately
     setSearchTerm(value);
+    searchTermRef.current = value;
     
-    if (useOptimizations) {
-      // Non-urgent: Filter can be interrupted
-      startTransition(() => {
-        const startTime = performance.now();
-        const filtered = filterWorkOrders(allWorkOrders, value);
-        const filterTime = performance.now() - startTime;
-        
-        setFilteredResults(filtered);
-        setMetrics(prev => ({ ...prev, filterTime }));
-      });
-    } else {
-      // Without optimization - blocks the main thread
-      const startTime = performance.now();
-      const filtered = filterWorkOrders(allWorkOrders, value);
-      const filterTime = performance.now() - startTime;
-      
-      setFilteredResults(filtered);
-      setMetrics(prev => ({ ...prev, filterTime }));
+    // Server mode: the query effect below sends the new term to the API
+    if (queryMode === 'server') return;
+    
+    runFilter(value, allWorkOrders);
+  }, [queryMode, runFilter, allWorkOrders]);
+  
+  // Retry function for error handling - refetches without reloading the page.
+  // A manual retry closes the circuit breaker so the API gets asked again right away.
+  const handleRetry = useCallback(() => {
+    resetCircuitBreakers();
+    setError(null);
+    setReloadKey(key => key + 1);
+  }, []);
+  
+  // Index the dataset once it has finished loading, so the first keystroke doesn't pay for it.
+  // After that only added or edited rows are indexed. Declared before the filter effect below.
+  useEffect(() => {
+    if (loadProgress || allWorkOrders.length === 0 || queryMode === 'server' || filterMode === 'worker') return;
+    
+    const startTime = performance.now();
+    searchIndex.sync(allWorkOrders);
+    setMetrics(prev => ({ ...prev, indexTime: performance.now() - startTime }));
+  }, [searchIndex, allWorkOrders, loadProgress, queryMode, filterMode]);
+  
+  // Filter again when the filters, the data or the filtering mode change (typing goes through handleSearch,
+  // so the term is read from a ref instead of re-running this for every keystroke).
+  // Not while the dataset streams in: it is filtered once, when the last chunk has arrived.
+  const isStreaming = loadProgress !== null;
+  useEffect(() => {
+    if (allWorkOrders.length === 0 || queryMode === 'server' || isStreaming) {
+      resultsDataRef.current = null;
+      return;
     }
-  }, [useOptimizations, allWorkOrders]);
-  
-  // Handle advanced filters - wrapped in useCallback
-  const handleAdvancedFilter = useCallback(() => {
-    const filters = {
-      status: statusFilter,
-      priority: priorityFilter,
-      department: departmentFilter
-    };
+    // Only live events changed the data, and they already re-checked the rows they changed
+    if (allWorkOrders === resultsDataRef.current && runFilter === resultsFilterRef.current) return;
     
-    startTransition(() => {
+    resultsDataRef.current = allWorkOrders;
+    resultsFilterRef.current = runFilter;
+    runFilter(searchTermRef.current, allWorkOrders);
+  }, [runFilter, allWorkOrders, queryMode, isStreaming]);
+  
+  // Syntax errors in the search query, shown under the input. Terms with errors are skipped when filtering.
+  const searchErrors = useMemo(() => parseSearchQuery(searchTerm).errors, [searchTerm]);
+  
+  // Server-side query mode: the API filters, sorts and pages; we only keep what was loaded
+  const serverQuery = useMemo(() => ({
+    q: searchTerm,
+    ...filterQuery,
+    sort: sortOrder
+  }), [searchTerm, filterQuery, sortOrder]);
+  
+  useEffect(() => {
+    // The API rejects invalid queries, so keep the last results until the query is fixed
+    if (queryMode !== 'server' || searchErrors.length > 0) return;
+    
+    const abortController = new AbortController();
+    
+    // Debounced so fast typing sends one request, and aborted when the query changes again
+    const timer = setTimeout(async () => {
       const startTime = performance.now();
-      let filtered = allWorkOrders;
-      
-      // Apply search term first
-      if (searchTerm) {
-        filtered = filterWorkOrders(filtered, searchTerm);
+      try {
+        const result = await fetchWorkOrders({
+          signal: abortController.signal,
+          query: { ...serverQuery, limit: SERVER_PAGE_SIZE }
+        });
+        
+        setFilteredResults(result.data);
+        setRejectedRecords(result.rejected);
+        setServerPage({ total: result.total, nextCursor: result.nextCursor });
+        pageQueryRef.current = serverQuery;
+        setMetrics(prev => ({ ...prev, filterTime: performance.now() - startTime }));
+      } catch (err) {
+        if (err.message !== 'Request was cancelled') {
+          console.error('Error querying work orders:', err);
+        }
       }
+    }, SERVER_QUERY_DEBOUNCE);
+    
+    return () => {
+      clearTimeout(timer);
+      abortController.abort();
+      // The loaded pages and their cursor belong to the old query: no more pages for it
+      pageQueryRef.current = null;
+      loadMoreControllerRef.current?.abort();
+      loadMoreControllerRef.current = null;
+      loadingMoreRef.current = false;
+      setIsLoadingMore(false);
+      setServerPage(page => ({ ...page, nextCursor: null }));
+    };
+  }, [queryMode, serverQuery, searchErrors, apiConfig]);
+  
+  // Fetch the next page in server mode and append it to the loaded rows
+  // Only for the query the loaded pages belong to: until the new query's first page lands,
+  // the rows and cursor on screen are still the old query's
+  const loadMore = useCallback(async () => {
+    if (queryMode !== 'server' || !serverPage.nextCursor || loadingMoreRef.current) return;
+    if (pageQueryRef.current !== serverQuery) return;
+    
+    const controller = new AbortController();
+    loadMoreControllerRef.current = controller;
+    loadingMoreRef.current = true;
+    setIsLoadingMore(true);
+    try {
+      const result = await fetchWorkOrders({
+        signal: controller.signal,
+        query: { ...serverQuery, limit: SERVER_PAGE_SIZE, cursor: serverPage.nextCursor }
+      });
+      // The query changed while this page was loading
+      if (controller.signal.aborted || pageQueryRef.current !== serverQuery) return;
       
-      // Then apply advanced filters
-      filtered = filterWorkOrdersAdvanced(filtered, filters);
-      
-      const filterTime = performance.now() - startTime;
-      setFilteredResults(filtered);
-      setMetrics(prev => ({ ...prev, filterTime }));
-    });
-  }, [statusFilter, priorityFilter, departmentFilter, searchTerm, allWorkOrders]);
+      setFilteredResults(prev => [...prev, ...result.data]);
+      setRejectedRecords(prev => (result.rejected.length > 0 ? [...prev, ...result.rejected] : prev));
+      setServerPage({ total: result.total, nextCursor: result.nextCursor });
+    } catch (err) {
+      if (err.message !== 'Request was cancelled') {
+        console.error('Error loading more work orders:', err);
+      }
+    } finally {
+      // A newer query already reset these
+      if (loadMoreControllerRef.current === controller) {
+        loadMoreControllerRef.current = null;
+        loadingMoreRef.current = false;
+        setIsLoadingMore(false);
+      }
+    }
+  }, [queryMode, serverPage.nextCursor, serverQuery]);
   
-  // Retry function for error handling - wrapped in useCallback
-  const handleRetry = useCallback(() => {
-    setError(null);
-    window.location.reload();
+  const handleRowsRendered = useCallback(({ stopIndex }) => {
+    if (stopIndex >= filteredResults.length - LOAD_MORE_THRESHOLD) {
+      loadMore();
+    }
+  }, [filteredResults.length, loadMore]);
+  
+  // Switching back to client mode restores the full, locally filtered dataset
+  const handleToggleQueryMode = useCallback(() => {
+    setQueryMode(mode => (mode === 'client' ? 'server' : 'client'));
   }, []);
   
-  // Apply advanced filters when they change
-  useEffect(() => {
-    if (allWorkOrders.length === 0) return;
+  // Optimistic changes go to the loaded dataset and, in server mode, to the loaded pages.
+  // change(rows, list) is called once per list ('all' or 'page').
+  const updateRows = useCallback((change) => {
+    setAllWorkOrders(rows => change(rows, 'all'));
+    if (queryMode === 'server') setFilteredResults(rows => change(rows, 'page'));
+  }, [queryMode]);
+  
+  const markPending = useCallback((id, pending) => {
+    setPendingIds(prev => {
+      const next = new Set(prev);
+      if (pending) next.add(id);
+      else next.delete(id);
+      return next;
+    });
+  }, []);
+  
+  // Create: show the row at once under a temporary id, swap in the server's record or remove it again
+  const handleCreate = useCallback(async (input) => {
+    setEditing(null);
+    const tempId = `NEW-${Date.now()}`;
+    const optimistic = { ...input, id: tempId, createdDate: new Date().toISOString() };
     
-    if (statusFilter !== 'All' || priorityFilter !== 'All' || departmentFilter !== 'All') {
-      handleAdvancedFilter();
-    } else if (searchTerm) {
-      handleSearch(searchTerm);
-    } else {
-      setFilteredResults(allWorkOrders);
+    updateRows(rows => [optimistic, ...rows]);
+    markPending(tempId, true);
+    try {
+      const created = await createWorkOrder(input);
+      // The live update for this record may have arrived first; then just drop the placeholder
+      updateRows(rows => (rows.some(row => row.id === created.id)
+        ? rows.filter(row => row.id !== tempId)
+        : replaceRow(tempId, created)(rows)));
+      toast.success(`Created ${created.id}`);
+    } catch (err) {
+      updateRows(rows => rows.filter(row => row.id !== tempId));
+      toast.error(`Could not create work order: ${err.message}`);
+    } finally {
+      markPending(tempId, false);
     }
-  }, [statusFilter, priorityFilter, departmentFilter, allWorkOrders]);
+  }, [updateRows, markPending]);
+  
+  // Update: send only changed fields; on failure put the original object back
+  const handleUpdate = useCallback(async (original, input) => {
+    setEditing(null);
+    const patch = Object.fromEntries(Object.entries(input).filter(([field, value]) => value !== original[field]));
+    if (Object.keys(patch).length === 0) return;
+    
+    const optimistic = { ...original, ...patch };
+    updateRows(replaceExact(original, optimistic));
+    markPending(original.id, true);
+    try {
+      const saved = await updateWorkOrder(original.id, patch);
+      updateRows(replaceExact(optimistic, saved));
+    } catch (err) {
+      updateRows(replaceExact(optimistic, original));
+      toast.error(`Could not update ${original.id}: ${err.message}`);
+    } finally {
+      markPending(original.id, false);
+    }
+  }, [updateRows, markPending]);
+  
+  // Delete: remove the row, and re-insert it where it was if the server refuses (a 404 means it is gone already)
+  const handleDelete = useCallback(async (workOrder) => {
+    const positions = {}; // Index per list; recomputed identically if React replays the updater
+    
+    updateRows((rows, list) => {
+      positions[list] = rows.indexOf(workOrder);
+      return positions[list] === -1 ? rows : rows.filter(row => row !== workOrder);
+    });
+    markPending(workOrder.id, true);
+    try {
+      await deleteWorkOrder(workOrder.id);
+    } catch (err) {
+      updateRows((rows, list) => (positions[list] >= 0
+        ? [...rows.slice(0, positions[list]), workOrder, ...rows.slice(positions[list])]
+        : rows));
+      toast.error(`Could not delete ${workOrder.id}: ${err.message}`);
+    } finally {
+      markPending(workOrder.id, false);
+    }
+  }, [updateRows, markPending]);
+  
+  const handleEdit = useCallback((workOrder) => setEditing(workOrder), []);
+  
+  // Live updates: merged by id into the loaded rows, so filters, sort and scroll position stay put.
+  // Only for live API data - pushed changes don't belong in cached or mock rows - and not mid-stream.
+  const liveUpdates = Boolean(apiConfig.supportsEvents) && dataSource === 'api' && !loadProgress;
+  
+  useEffect(() => {
+    if (!liveUpdates) return;
+    
+    const timers = new Set();
+    const unhighlight = (id) => setHighlightedIds(prev => {
+      const next = new Set(prev);
+      next.delete(id);
+      return next;
+    });
+    
+    const unsubscribe = subscribeWorkOrderEvents({
+      onStatus: setLiveStatus,
+      onEvent: (event) => {
+        setAllWorkOrders(rows => {
+          const next = mergeWorkOrderEvent(rows, event);
+          // Results that were up to date stay so: the changed row is re-checked below
+          if (rows === resultsDataRef.current) resultsDataRef.current = next;
+          return next;
+        });
+        // A server-filtered page only takes changes to rows it already shows
+        if (queryMode === 'server') {
+          setFilteredResults(rows => mergeWorkOrderEvent(rows, event, { append: false }));
+        } else {
+          // Only the changed row is matched against the query: it stays in place, leaves, or joins at the end
+          const matches = event.type !== 'deleted' && matchRowsRef.current([event.workOrder]).length > 0;
+          setFilteredResults(rows => mergeWorkOrderEvent(
+            rows,
+            matches ? { ...event, type: 'created' } : { type: 'deleted', id: event.id }
+          ));
+        }
+        
+        if (event.type !== 'deleted') {
+          setHighlightedIds(prev => new Set(prev).add(event.id));
+          const timer = setTimeout(() => {
+            timers.delete(timer);
+            unhighlight(event.id);
+          }, HIGHLIGHT_DURATION);
+          timers.add(timer);
+        }
+      }
+    });
+    
+    return () => {
+      unsubscribe();
+      timers.forEach(clearTimeout);
+      setHighlightedIds(new Set());
+      setLiveStatus(null);
+    };
+  }, [liveUpdates, queryMode]);
+  
+  // What to mark in the rows: the free text of the query. Ranges are computed per rendered row.
+  const highlight = useMemo(() => ({
+    terms: searchTextTerms(searchTerm),
+    fuzzy: fuzzySearch && queryMode === 'client'
+  }), [searchTerm, fuzzySearch, queryMode]);
+  
+  const activeFilterCount = useMemo(() => countActiveFilters(filters), [filters]);
+  
+  const rowProps = useMemo(() => ({
+    items: filteredResults,
+    pendingIds,
+    highlightedIds,
+    highlight,
+    onEdit: handleEdit,
+    onDelete: handleDelete
+  }), [filteredResults, pendingIds, highlightedIds, highlight, handleEdit, handleDelete]);
   
   // Reset filters - wrapped in useCallback
   const handleReset = useCallback(() => {
     setSearchTerm('');
-    setStatusFilter('All');
-    setPriorityFilter('All');
-    setDepartmentFilter('All');
-    setFilteredResults(allWorkOrders);
-  }, [allWorkOrders]);
+    searchTermRef.current = '';
+    setFilters(EMPTY_FILTERS);
+    setSortOrder('');
+    if (queryMode === 'client') {
+      // A worker query still running would overwrite the reset list when it answers
+      cancelWorkerFilter();
+      setIsWorkerFiltering(false);
+      setFilteredResults(allWorkOrders);
+    }
+  }, [allWorkOrders, queryMode, cancelWorkerFilter]);
+  
+  const isFiltering = isPending || (filterMode === 'worker' && isWorkerFiltering);
   
   // Loading state
   if (isLoading) {
@@ -257,7 +775,9 @@ function WorkOrdersPage() {
               <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
               <div>
                 <div className="text-lg font-semibold">Fetching data from API...</div>
-                <div className="text-sm text-gray-400">Please wait while we load the work orders</div>
+                <div className="text-sm text-gray-400">
+                  {retryStatus ?? 'Please wait while we load the work orders'}
+                </div>
               </div>
             </div>
           </div>
@@ -299,17 +819,13 @@ function WorkOrdersPage() {
             <p className="text-gray-400 mb-6">The system is loading demo data with 50k sample work orders to showcase the performance optimizations.</p>
             <div className="flex gap-4 justify-center">
               <button
-                onClick={() => {
-                  setError(null);
-                  setIsLoading(true);
-                  window.location.reload();
-                }}
+                onClick={handleRetry}
                 className="px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg transition-all"
               >
                 🔄 Retry API
               </button>
               <a
-                href="https://extra-aubry-chainx-d938c098.koyeb.app/workorders"
+                href={`${apiConfig.baseUrl}/workorders`}
                 target="_blank"
                 rel="noopener noreferrer"
                 className="px-6 py-3 bg-gray-700 hover:bg-gray-600 text-white font-semibold rounded-lg transition-all"
@@ -337,30 +853,83 @@ function WorkOrdersPage() {
             <p className="text-gray-400">
               {allWorkOrders.length.toLocaleString()} work orders with instant filtering using React Concurrent Features & Virtualization
               {dataSource && (
-                <span className={`ml-4 inline-block px-3 py-1 rounded-full text-xs font-semibold ${
-                  dataSource === 'api' 
-                    ? 'bg-green-900/50 text-green-400 border border-green-700' 
-                    : 'bg-blue-900/50 text-blue-400 border border-blue-700'
-                }`}>
-                  {dataSource === 'api' ? '✓ Live API Data' : '📊 Demo Mock Data'}
+                <span className={`ml-4 inline-block px-3 py-1 rounded-full text-xs font-semibold ${dataSourceStyles[dataSource]}`}>
+                  {dataSource === 'api' && `✓ Live API Data (${apiConfig.label})`}
+                  {dataSource === 'api' && cacheInfo?.notModified && ` · unchanged since ${formatAge(cacheInfo.cachedAt)}`}
+                  {dataSource === 'cache' && `💾 Cached Data · ${formatAge(cacheInfo.cachedAt)}`}
+                  {dataSource === 'cache' && (isRevalidating ? ' · revalidating...' : ' · API unreachable')}
+                  {dataSource === 'mock' && '📊 Demo Mock Data'}
+                </span>
+              )}
+              {liveStatus && (
+                <span className={`ml-2 text-xs font-semibold ${liveStatus === 'live' ? 'text-green-400' : 'text-yellow-400'}`}>
+                  {liveStatusLabels[liveStatus]}
+                </span>
+              )}
+              {loadProgress && (
+                <span className="ml-2 inline-flex items-center gap-2 text-xs text-gray-400">
+                  <span className="animate-pulse">⏳</span>
+                  loaded {loadProgress.loaded.toLocaleString()}
+                  {loadProgress.total !== null && ` of ${loadProgress.total.toLocaleString()}`}
+                  {loadProgress.total > 0 && (
+                    <span className="inline-block w-24 h-1.5 bg-gray-700 rounded-full overflow-hidden">
+                      <span
+                        className="block h-full bg-blue-500 transition-all"
+                        style={{ width: `${Math.min(100, (loadProgress.loaded / loadProgress.total) * 100)}%` }}
+                      />
+                    </span>
+                  )}
                 </span>
               )}
+              {(dataSource === 'mock' || (dataSource === 'cache' && !isRevalidating)) && (
+                <button
+                  onClick={handleRetry}
+                  className="ml-2 text-xs text-blue-400 hover:text-blue-300 underline"
+                >
+                  Retry API
+                </button>
+              )}
             </p>
           </div>
           
           {/* Demo Mode Toggle */}
           <div className="flex gap-4">
             <button
-              onClick={() => setUseOptimizations(!useOptimizations)}
+              onClick={() => setEditing('new')}
+              className="px-4 py-2 rounded-lg font-semibold transition-all bg-blue-600 hover:bg-blue-700"
+            >
+              + New Work Order
+            </button>
+            
+            <button
+              onClick={handleToggleQueryMode}
+              disabled={!apiConfig.supportsQuery}
+              title={apiConfig.supportsQuery ? undefined : `${apiConfig.label} API does not support server-side queries`}
               className={`px-4 py-2 rounded-lg font-semibold transition-all ${
-                useOptimizations 
-                  ? 'bg-green-600 hover:bg-green-700' 
-                  : 'bg-red-600 hover:bg-red-700'
-              }`}
+                queryMode === 'server' 
+                  ? 'bg-purple-600 hover:bg-purple-700' 
+                  : 'bg-gray-600 hover:bg-gray-700'
+              } disabled:opacity-50 disabled:cursor-not-allowed`}
             >
-              {useOptimizations ? '✓ useTransition ON' : '✗ useTransition OFF'}
+              {queryMode === 'server' ? '☁ Server-side Query' : '💻 Client-side Query'}
             </button>
             
+            <div className="flex rounded-lg overflow-hidden" role="group" aria-label="Filtering mode">
+              {FILTER_MODES.map(mode => (
+                <button
+                  key={mode.value}
+                  onClick={() => setFilterMode(mode.value)}
+                  disabled={queryMode === 'server'}
+                  title={queryMode === 'server' ? 'Server-side queries are filtered by the API' : mode.hint}
+                  className={`px-3 py-2 font-semibold transition-all ${
+                    filterMode === mode.value ? mode.activeClass : 'bg-gray-700 hover:bg-gray-600'
+                  } disabled:opacity-50 disabled:cursor-not-allowed`}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+            
             <button
               onClick={() => setUseVirtualization(!useVirtualization)}
               className={`px-4 py-2 rounded-lg font-semibold transition-all ${
@@ -371,9 +940,29 @@ function WorkOrdersPage() {
             >
               {useVirtualization ? '✓ Virtualization ON' : '✗ Virtualization OFF'}
             </button>
+            
+            <button
+              onClick={() => setFuzzySearch(!fuzzySearch)}
+              disabled={queryMode === 'server'}
+              title={queryMode === 'server'
+                ? 'The API only matches exact text'
+                : 'Allow typos in the search text and rank results by how closely they match (unless a sort order is picked)'}
+              className={`px-4 py-2 rounded-lg font-semibold transition-all ${
+                fuzzySearch ? 'bg-purple-600 hover:bg-purple-700' : 'bg-gray-700 hover:bg-gray-600'
+              } disabled:opacity-50 disabled:cursor-not-allowed`}
+            >
+              {fuzzySearch ? '≈ Fuzzy Search ON' : '= Exact Search'}
+            </button>
           </div>
         </div>
         
+        {/* Records quarantined by schema validation */}
+        {rejectedRecords.length > 0 && (
+          <div className="mb-6">
+            <RejectedRecordsPanel rejected={rejectedRecords} />
+          </div>
+        )}
+        
         {/* Performance Metrics Panel */}
         <div className="grid grid-cols-4 gap-4 mb-6">
           <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
@@ -382,17 +971,23 @@ function WorkOrdersPage() {
               {metrics.filterTime.toFixed(2)}ms
             </div>
             <div className="text-xs text-gray-500 mt-1">
-              Target: &lt;100ms
+              {metrics.workerTime !== null
+                ? `${metrics.workerTime.toFixed(2)}ms in worker · target: <100ms`
+                : metrics.indexTime !== null
+                  ? `Index updated in ${metrics.indexTime.toFixed(0)}ms · target: <100ms`
+                  : 'Target: <100ms'}
             </div>
           </div>
           
           <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
             <div className="text-xs text-gray-400 mb-1">Filtered Results</div>
             <div className="text-2xl font-bold text-blue-400">
-              {filteredResults.length.toLocaleString()}
+              {(queryMode === 'server' ? serverPage.total : filteredResults.length).toLocaleString()}
             </div>
             <div className="text-xs text-gray-500 mt-1">
-              of {allWorkOrders.length.toLocaleString()}
+              {queryMode === 'server'
+                ? `${filteredResults.length.toLocaleString()} loaded${isLoadingMore ? ', loading more...' : ''}`
+                : `of ${allWorkOrders.length.toLocaleString()}`}
             </div>
           </div>
           
@@ -408,85 +1003,157 @@ function WorkOrdersPage() {
           
           <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
             <div className="text-xs text-gray-400 mb-1">Processing State</div>
-            <div className={`text-2xl font-bold ${isPending ? 'text-yellow-400' : 'text-green-400'}`}>
-              {isPending ? 'Filtering...' : 'Ready'}
+            <div className={`text-2xl font-bold ${isFiltering ? 'text-yellow-400' : 'text-green-400'}`}>
+              {isFiltering ? 'Filtering...' : 'Ready'}
             </div>
             <div className="text-xs text-gray-500 mt-1">
-              {isPending ? 'Non-blocking' : 'Idle'}
+              {isFiltering ? (filterMode === 'worker' ? 'In worker' : 'Non-blocking') : 'Idle'}
             </div>
           </div>
         </div>
         
         {/* Search and Filters */}
         <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-6">
-          <div className="grid grid-cols-5 gap-4 mb-4">
+          <div className="grid grid-cols-6 gap-4 mb-4">
             {/* Search Input */}
             <div className="col-span-2">
               <label className="block text-sm font-semibold text-gray-300 mb-2">
-                Search (ID, Title, Assignee, Department, Status)
+                Search (text, or field:value like status:Blocked priority:&gt;=High hours:10..20)
               </label>
-              <input
-                type="text"
+              <SearchQueryInput
                 value={searchTerm}
-                onChange={(e) => handleSearch(e.target.value)}
-                placeholder="Type to filter 50k records..."
-                className="w-full px-4 py-2 bg-gray-900 border border-gray-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                onChange={handleSearch}
+                errors={searchErrors}
+                placeholder='pump status:Blocked assignee:"Bob Smith" -dept:Safety'
               />
             </div>
             
-            {/* Status Filter */}
-            <div>
-              <label className="block text-sm font-semibold text-gray-300 mb-2">Status</label>
-              <select
-                value={statusFilter}
-                onChange={(e) => setStatusFilter(e.target.value)}
-                className="w-full px-4 py-2 bg-gray-900 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="All">All Statuses</option>
-                {STATUSES.map(status => (
-                  <option key={status} value={status}>{status}</option>
-                ))}
-              </select>
-            </div>
+            <MultiSelectFilter
+              label="Status"
+              allLabel="All Statuses"
+              options={STATUSES}
+              selected={filters.status}
+              onChange={setFilter('status')}
+            />
             
-            {/* Priority Filter */}
-            <div>
-              <label className="block text-sm font-semibold text-gray-300 mb-2">Priority</label>
-              <select
-                value={priorityFilter}
-                onChange={(e) => setPriorityFilter(e.target.value)}
-                className="w-full px-4 py-2 bg-gray-900 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="All">All Priorities</option>
-                {PRIORITIES.map(priority => (
-                  <option key={priority} value={priority}>{priority}</option>
-                ))}
-              </select>
-            </div>
+            <MultiSelectFilter
+              label="Priority"
+              allLabel="All Priorities"
+              options={PRIORITIES}
+              selected={filters.priority}
+              onChange={setFilter('priority')}
+            />
+            
+            <MultiSelectFilter
+              label="Department"
+              allLabel="All Departments"
+              options={DEPARTMENTS}
+              selected={filters.department}
+              onChange={setFilter('department')}
+            />
             
-            {/* Department Filter */}
+            {/* Sort Order */}
             <div>
-              <label className="block text-sm font-semibold text-gray-300 mb-2">Department</label>
+              <label className="block text-sm font-semibold text-gray-300 mb-2">Sort</label>
               <select
-                value={departmentFilter}
-                onChange={(e) => setDepartmentFilter(e.target.value)}
+                value={sortOrder}
+                onChange={(e) => setSortOrder(e.target.value)}
                 className="w-full px-4 py-2 bg-gray-900 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
               >
-                <option value="All">All Departments</option>
-                {DEPARTMENTS.map(dept => (
-                  <option key={dept} value={dept}>{dept}</option>
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
                 ))}
               </select>
             </div>
           </div>
           
-          {/* Reset Button */}
-          <button
-            onClick={handleReset}
-            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg font-semibold transition-all"
-          >
-            Reset All Filters
-          </button>
+          {/* Advanced Filters */}
+          <div className="grid grid-cols-6 gap-4 mb-4">
+            <MultiSelectFilter
+              label="Work Type"
+              allLabel="All Work Types"
+              options={WORK_TYPES}
+              selected={filters.workType}
+              onChange={setFilter('workType')}
+            />
+            
+            <MultiSelectFilter
+              label="Assignee"
+              allLabel="Anyone"
+              options={ASSIGNEES}
+              selected={filters.assignee}
+              onChange={setFilter('assignee')}
+            />
+            
+            <RangeFilter
+              label="Created"
+              type="date"
+              from={filters.createdFrom}
+              to={filters.createdTo}
+              onFromChange={setFilter('createdFrom')}
+              onToChange={setFilter('createdTo')}
+            />
+            
+            <RangeFilter
+              label="Due"
+              type="date"
+              from={filters.dueFrom}
+              to={filters.dueTo}
+              onFromChange={setFilter('dueFrom')}
+              onToChange={setFilter('dueTo')}
+            />
+            
+            <RangeFilter
+              label="Estimated Hours"
+              type="number"
+              min={0}
+              from={filters.minHours}
+              to={filters.maxHours}
+              onFromChange={setFilter('minHours')}
+              onToChange={setFilter('maxHours')}
+            />
+            
+            <RangeFilter
+              label="Completion %"
+              type="number"
+              min={0}
+              max={100}
+              from={filters.minCompletion}
+              to={filters.maxCompletion}
+              onFromChange={setFilter('minCompletion')}
+              onToChange={setFilter('maxCompletion')}
+            />
+          </div>
+          
+          <div className="flex items-center gap-6">
+            {/* Reset Button */}
+            <button
+              onClick={handleReset}
+              className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg font-semibold transition-all"
+            >
+              Reset All Filters{activeFilterCount > 0 && ` (${activeFilterCount} active)`}
+            </button>
+            
+            {/* Overdue: open work orders past their due date */}
+            <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={filters.overdue}
+                onChange={(e) => setFilter('overdue')(e.target.checked)}
+              />
+              <span className="font-semibold">Overdue only</span>
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-400">
+              as of
+              <input
+                type="date"
+                value={filters.asOf}
+                onChange={(e) => setFilter('asOf')(e.target.value)}
+                disabled={!filters.overdue}
+                className="px-2 py-1 bg-gray-900 border border-gray-600 rounded-lg text-white text-sm disabled:opacity-50 [color-scheme:dark]"
+              />
+            </label>
+          </div>
         </div>
         
         {/* Table Header */}
@@ -499,6 +1166,7 @@ function WorkOrdersPage() {
             <div className="w-32">Department</div>
             <div className="w-32">Status</div>
             <div className="w-32">Created</div>
+            <div className="w-24">Actions</div>
           </div>
         </div>
       </div>
@@ -512,8 +1180,9 @@ function WorkOrdersPage() {
               rowCount={filteredResults.length}
               rowHeight={80}
               width="100%"
-              rowProps={{ items: filteredResults }}
+              rowProps={rowProps}
               rowComponent={WorkOrderRow}
+              onRowsRendered={queryMode === 'server' ? handleRowsRendered : undefined}
             />
           </div>
         ) : (
@@ -521,11 +1190,20 @@ function WorkOrdersPage() {
             {filteredResults.map((workOrder, index) => (
               <WorkOrderRow
                 key={workOrder.id}
-                items={filteredResults}
+                {...rowProps}
                 index={index}
                 style={{}}
               />
             ))}
+            {queryMode === 'server' && serverPage.nextCursor && (
+              <button
+                onClick={loadMore}
+                disabled={isLoadingMore}
+                className="w-full py-3 text-sm font-semibold text-blue-400 hover:bg-gray-700 disabled:opacity-50"
+              >
+                {isLoadingMore ? 'Loading...' : `Load ${SERVER_PAGE_SIZE} more`}
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -556,6 +1234,7 @@ function WorkOrdersPage() {
           <h3 className="text-xl font-bold text-blue-400 mb-3">📊 Performance Measurement</h3>
           <ul className="text-sm text-gray-300 space-y-2">
             <li>• <strong>Filter Time</strong>: Should stay &lt;100ms for instant feel</li>
+            <li>• <strong>Search index</strong>: Built once after load, so a keystroke only checks rows that can match</li>
             <li>• <strong>Input Latency</strong>: Keystrokes appear immediately (target &lt;50ms)</li>
             <li>• <strong>Render Count</strong>: Tracked to detect unnecessary re-renders</li>
             <li>• <strong>Chrome DevTools</strong>: Use Performance tab for detailed profiling</li>
@@ -565,13 +1244,27 @@ function WorkOrdersPage() {
         <div className="bg-gradient-to-br from-yellow-900/30 to-yellow-800/30 border border-yellow-700 rounded-lg p-6">
           <h3 className="text-xl font-bold text-yellow-400 mb-3">🎯 Try This</h3>
           <ul className="text-sm text-gray-300 space-y-2">
-            <li>• <strong>Toggle useTransition OFF</strong>: Notice input lag during filtering</li>
+            <li>• <strong>Switch to Main thread</strong>: Notice input lag during filtering</li>
+            <li>• <strong>Switch to Web Worker</strong>: Filtering leaves the main thread entirely</li>
             <li>• <strong>Toggle Virtualization OFF</strong>: See 50k DOM nodes slow everything down</li>
             <li>• <strong>Type quickly</strong>: Watch transition interruption keep UI responsive</li>
+            <li>• <strong>Turn on Fuzzy Search</strong>: "calbration" or "henry more" still find their rows, best matches first</li>
+            <li>• <strong>Search by field</strong>: <code>priority:&gt;=High due:&lt;2026-01-15 -dept:Safety</code>, Tab completes names and values</li>
             <li>• <strong>Open DevTools</strong>: Monitor Performance tab during fast typing</li>
           </ul>
         </div>
       </div>
+      
+      {/* Create / edit form */}
+      {editing && (
+        <WorkOrderForm
+          workOrder={editing === 'new' ? null : editing}
+          onSubmit={(input) => (editing === 'new' ? handleCreate(input) : handleUpdate(editing, input))}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+      
+      <ToastContainer />
     </div>
   );
 }
@@ -0,0 +1,206 @@
+// Opt-in persistence of store slices
+// Adapters share one async interface: getItem, setItem and removeItem return promises.
+
+import { toRaw } from './mutationCheck';
+
+// Action type of the setState that restores saved slices. Not a user change:
+// withHistory doesn't record it as an undo step and syncTabs doesn't broadcast it.
+export const REHYDRATE = 'persist/rehydrate';
+
+/**
+ * Storage adapter backed by localStorage (or any Web Storage object)
+ * @param {Storage} [storage=window.localStorage] - Web Storage to write to
+ * @returns {Object} Storage adapter
+ */
+export function createLocalStorageAdapter(storage = window.localStorage) {
+  return {
+    async getItem(key) {
+      const raw = storage.getItem(key);
+      return raw == null ? null : JSON.parse(raw);
+    },
+    async setItem(key, value) {
+      storage.setItem(key, JSON.stringify(value));
+    },
+    async removeItem(key) {
+      storage.removeItem(key);
+    }
+  };
+}
+
+/**
+ * Storage adapter backed by an IndexedDB object store
+ * @param {Object} [options] - IndexedDB options
+ * @param {string} [options.dbName='react-performance'] - Database name
+ * @param {string} [options.storeName='keyval'] - Object store name
+ * @returns {Object} Storage adapter
+ */
+export function createIndexedDBAdapter({ dbName = 'react-performance', storeName = 'keyval' } = {}) {
+  let dbPromise = null;
+
+  // Opened lazily and reused for every call
+  function openDB() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  async function run(mode, operation) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  return {
+    getItem: (key) => run('readonly', store => store.get(key)),
+    setItem: (key, value) => run('readwrite', store => store.put(value, key)),
+    removeItem: (key) => run('readwrite', store => store.delete(key))
+  };
+}
+
+/**
+ * In-memory storage adapter for tests and SSR
+ * @param {Object} [initial] - Entries to start with
+ * @returns {Object} Storage adapter
+ */
+export function createMemoryAdapter(initial = {}) {
+  const entries = new Map(Object.entries(initial));
+
+  return {
+    async getItem(key) {
+      return entries.has(key) ? entries.get(key) : null;
+    },
+    async setItem(key, value) {
+      entries.set(key, value);
+    },
+    async removeItem(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Bring saved slices up to the current schema version
+ * @param {Object} slices - Saved slices
+ * @param {number} fromVersion - Version they were saved with
+ * @param {number} toVersion - Current schema version
+ * @param {Object} migrations - Map of version => (slices) => slices for that version
+ * @returns {Object} Migrated slices
+ */
+function migrate(slices, fromVersion, toVersion, migrations) {
+  let migrated = slices;
+
+  for (let version = fromVersion + 1; version <= toVersion; version++) {
+    const migration = migrations[version];
+    if (!migration) {
+      throw new Error(`Missing persist migration to version ${version}`);
+    }
+    migrated = migration(migrated);
+  }
+
+  return migrated;
+}
+
+/**
+ * Persist selected slices of a store and restore them on startup
+ * @param {Object} store - Store created by createStore
+ * @param {Object} options - Persistence options
+ * @param {string} options.key - Storage key
+ * @param {Array<string>} options.slices - Top-level slices to persist
+ * @param {Object} [options.adapter] - Storage adapter (defaults to localStorage)
+ * @param {number} [options.version=1] - Current schema version
+ * @param {Object} [options.migrations] - Map of version => (slices) => slices for that version
+ * @param {number} [options.throttle=500] - Minimum delay between writes in ms
+ * @returns {{ hydrated: Promise, flush: Function, stop: Function }} Persistor
+ */
+export function persistStore(store, {
+  key,
+  slices,
+  adapter = createLocalStorageAdapter(),
+  version = 1,
+  migrations = {},
+  throttle = 500
+}) {
+  let lastWritten = {};
+  let timer = null;
+  let stopped = false;
+
+  const pick = (state) => Object.fromEntries(slices.map(slice => [slice, state[slice]]));
+  const changedSinceWrite = (picked) => slices.some(slice => picked[slice] !== lastWritten[slice]);
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+
+    const picked = pick(store.getState());
+    if (!changedSinceWrite(picked)) return Promise.resolve();
+
+    lastWritten = picked;
+    // toRaw: IndexedDB can't clone the store's read-only views
+    const saved = Object.fromEntries(Object.entries(picked).map(([slice, value]) => [slice, toRaw(value)]));
+    return adapter.setItem(key, { version, slices: saved })
+      .catch(error => console.warn(`Failed to persist "${key}":`, error));
+  }
+
+  // Trailing throttle: rapid updates collapse into one write of the latest state
+  function scheduleWrite() {
+    if (stopped || timer) return;
+    timer = setTimeout(flush, throttle);
+  }
+
+  // Slices as they were before the saved copy was read
+  const initial = pick(store.getState());
+
+  async function hydrate() {
+    try {
+      const saved = await adapter.getItem(key);
+      if (!saved || stopped) return;
+
+      if (saved.version > version) {
+        console.warn(`Ignoring persisted "${key}": saved with newer version ${saved.version}`);
+        return;
+      }
+
+      // Slices missing from the saved data keep their initial value. So do slices that changed while
+      // the saved copy was being read (an edit, or a newer value from another tab): the copy is older.
+      const migrated = migrate(saved.slices, saved.version, version, migrations);
+      const current = store.getState();
+      const restored = Object.fromEntries(
+        slices
+          .filter(slice => migrated[slice] !== undefined && current[slice] === initial[slice])
+          .map(slice => [slice, migrated[slice]])
+      );
+      if (Object.keys(restored).length === 0) return;
+      store.setState(state => ({ ...state, ...restored }), REHYDRATE);
+      // Already saved: read back from the store, which may hand them out as read-only views
+      const state = store.getState();
+      lastWritten = { ...lastWritten, ...Object.fromEntries(Object.keys(restored).map(slice => [slice, state[slice]])) };
+    } catch (error) {
+      console.warn(`Failed to restore "${key}":`, error);
+    }
+  }
+
+  lastWritten = pick(store.getState());
+  const unsubscribe = store.subscribe(() => {
+    if (changedSinceWrite(pick(store.getState()))) scheduleWrite();
+  });
+
+  return {
+    hydrated: hydrate(),
+    flush,
+    stop() {
+      stopped = true;
+      unsubscribe();
+      // Write anything still waiting on the throttle
+      if (timer) flush();
+    }
+  };
+}
@@ -0,0 +1,55 @@
+// Memoized derived selectors for the store
+// A selector built with createSelector only recomputes when one of its inputs changes.
+
+/**
+ * Check whether two input lists hold the same references
+ * @param {Array} prev - Inputs from the previous call
+ * @param {Array} next - Inputs from the current call
+ * @returns {boolean} True when every input is identical
+ */
+function sameInputs(prev, next) {
+  if (prev.length !== next.length) return false;
+
+  for (let i = 0; i < prev.length; i++) {
+    if (!Object.is(prev[i], next[i])) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Create a memoized selector that caches on the identity of its inputs
+ *
+ * Input selectors declare the dependencies: the result function only runs
+ * when one of them returns a new reference, so derived arrays and objects
+ * keep their identity between unrelated store updates.
+ *
+ * @param {Array<Function>} inputSelectors - (state, ...args) => dependency
+ * @param {Function} resultFn - (...dependencies) => derived value
+ * @returns {Function} Memoized selector with recomputations() for debugging
+ */
+export function createSelector(inputSelectors, resultFn) {
+  let lastInputs = null;
+  let lastResult;
+  let recomputations = 0;
+
+  function selector(state, ...args) {
+    const inputs = inputSelectors.map(input => input(state, ...args));
+
+    if (lastInputs && sameInputs(lastInputs, inputs)) {
+      return lastResult;
+    }
+
+    lastInputs = inputs;
+    lastResult = resultFn(...inputs);
+    recomputations += 1;
+    return lastResult;
+  }
+
+  selector.recomputations = () => recomputations;
+  selector.resetRecomputations = () => {
+    recomputations = 0;
+  };
+
+  return selector;
+}
@@ -0,0 +1,222 @@
+/**
+ * Work Orders API client (v1.0.0)
+ * Generated from src/openapi.json by scripts/generate-api-client.js. Do not edit by hand:
+ * change the spec and run `npm run generate:api`. `npm run check:api` fails when this file is stale.
+ */
+
+/**
+ * @typedef {Object} WorkOrder
+ * @property {string} id
+ * @property {string} title - min length 1
+ * @property {string} description
+ * @property {string} status
+ * @property {string} priority
+ * @property {string} assignee - min length 1
+ * @property {string} department
+ * @property {string} workType
+ * @property {string} createdDate - date-time
+ * @property {string} dueDate - date-time
+ * @property {number} estimatedHours - min 0
+ * @property {number} completionPercentage - min 0, max 100
+ */
+
+/**
+ * @typedef {Object} WorkOrderPage
+ * @property {Array<WorkOrder>} items
+ * @property {number} total - Number of records matching the filters
+ * @property {number} offset
+ * @property {number} limit
+ * @property {string|null} nextCursor - Cursor for the next page, null on the last page
+ */
+
+/**
+ * @typedef {Object} Error
+ * @property {string} error
+ */
+
+/**
+ * Fields a client may set. id and createdDate are assigned by the server; description defaults to an empty string and completionPercentage to 0.
+ * @typedef {Object} WorkOrderInput
+ * @property {string} title - min length 1
+ * @property {string} [description]
+ * @property {string} status
+ * @property {string} priority
+ * @property {string} assignee - min length 1
+ * @property {string} department
+ * @property {string} workType
+ * @property {string} dueDate - date-time
+ * @property {number} estimatedHours - min 0
+ * @property {number} [completionPercentage] - min 0, max 100
+ */
+
+/**
+ * Any subset of the WorkOrderInput fields
+ * @typedef {Object} WorkOrderPatch
+ * @property {string} [title] - min length 1
+ * @property {string} [description]
+ * @property {string} [status]
+ * @property {string} [priority]
+ * @property {string} [assignee] - min length 1
+ * @property {string} [department]
+ * @property {string} [workType]
+ * @property {string} [dueDate] - date-time
+ * @property {number} [estimatedHours] - min 0
+ * @property {number} [completionPercentage] - min 0, max 100
+ */
+
+/**
+ * Parameters of listWorkOrders
+ * @typedef {Object} ListWorkOrdersParams
+ * @property {string} [q] - Search query. Free text is a case-insensitive substring match on id, title, assignee, department and status. Field terms narrow it down, e.g. status:Blocked priority:>=High assignee:"Bob Smith" due:<2025-12-31 hours:10..20 -department:Safety
+ * @property {string} [status] - Only work orders with this status, or any of a comma-separated list
+ * @property {string} [priority] - Only work orders with this priority, or any of a comma-separated list
+ * @property {string} [department] - Only work orders of this department, or any of a comma-separated list
+ * @property {string} [createdFrom] - Only work orders created on or after this instant (date-time)
+ * @property {string} [createdTo] - Only work orders created on or before this instant (date-time)
+ * @property {string} [workType] - Only work orders of this work type, or any of a comma-separated list
+ * @property {string} [assignee] - Only work orders assigned to this person, or any of a comma-separated list
+ * @property {string} [dueFrom] - Only work orders due on or after this instant (date-time)
+ * @property {string} [dueTo] - Only work orders due on or before this instant (date-time)
+ * @property {number} [minHours] - Only work orders estimated at this many hours or more (min 0)
+ * @property {number} [maxHours] - Only work orders estimated at this many hours or fewer (min 0)
+ * @property {number} [minCompletion] - Only work orders at least this far along (min 0, max 100)
+ * @property {number} [maxCompletion] - Only work orders at most this far along (min 0, max 100)
+ * @property {boolean} [overdue] - Only work orders past their due date that are not Completed or Cancelled
+ * @property {string} [asOf] - Instant overdue is judged at (default: now) (date-time)
+ * @property {string} [sort] - Comma separated sort fields, prefix with - for descending (e.g. -priority,createdDate)
+ * @property {number} [limit] - Page size. When limit or cursor is set the response is a WorkOrderPage (min 1, max 1000)
+ * @property {number} [offset] - Index of the first record to return (min 0, default 0)
+ * @property {string} [cursor] - Opaque cursor from nextCursor of the previous page, takes precedence over offset
+ * @property {string} [ifNoneMatch] - If-None-Match header: ETag of a previous response; answered with 304 when the data has not changed
+ */
+
+/**
+ * Body of a 200 listWorkOrders response (application/json)
+ * @typedef {Array<WorkOrder>|WorkOrderPage} ListWorkOrdersResponse
+ */
+
+/**
+ * Body of a 201 createWorkOrder response (application/json)
+ * @typedef {WorkOrder} CreateWorkOrderResponse
+ */
+
+/**
+ * Body of a 200 updateWorkOrder response (application/json)
+ * @typedef {WorkOrder} UpdateWorkOrderResponse
+ */
+
+// Query values that are undefined, null or '' are left out
+function buildUrl(baseUrl, path, query = {}) {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.set(key, String(value));
+  });
+  const search = params.toString();
+  return `${baseUrl}${path}${search ? `?${search}` : ''}`;
+}
+
+function compactHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * List work orders
+ * GET /workorders (application/json)
+ * @param {ListWorkOrdersParams} [params] - Query and header parameters
+ * @param {Object} options - { baseUrl, send = fetch, ...init }: send(url, init) performs the request;
+ *   the rest of init (signal, headers, ...) is passed through to it
+ * @returns {Promise<*>} Whatever send resolves to (with fetch, a Response with a ListWorkOrdersResponse body)
+ */
+export function listWorkOrders(params = {}, { baseUrl, send = fetch, ...init }) {
+  const url = buildUrl(baseUrl, '/workorders', {
+    q: params.q,
+    status: params.status,
+    priority: params.priority,
+    department: params.department,
+    createdFrom: params.createdFrom,
+    createdTo: params.createdTo,
+    workType: params.workType,
+    assignee: params.assignee,
+    dueFrom: params.dueFrom,
+    dueTo: params.dueTo,
+    minHours: params.minHours,
+    maxHours: params.maxHours,
+    minCompletion: params.minCompletion,
+    maxCompletion: params.maxCompletion,
+    overdue: params.overdue,
+    asOf: params.asOf,
+    sort: params.sort,
+    limit: params.limit,
+    offset: params.offset,
+    cursor: params.cursor
+  });
+  return send(url, {
+    ...init,
+    method: 'GET',
+    headers: compactHeaders({ 'Accept': 'application/json', ...init.headers, 'If-None-Match': params.ifNoneMatch })
+  });
+}
+
+/**
+ * Create a work order
+ * POST /workorders (application/json)
+ * @param {WorkOrderInput} body - JSON request body
+ * @param {Object} options - { baseUrl, send = fetch, ...init }: send(url, init) performs the request;
+ *   the rest of init (signal, headers, ...) is passed through to it
+ * @returns {Promise<*>} Whatever send resolves to (with fetch, a Response with a CreateWorkOrderResponse body)
+ */
+export function createWorkOrder(body, { baseUrl, send = fetch, ...init }) {
+  const url = buildUrl(baseUrl, '/workorders');
+  return send(url, {
+    ...init,
+    method: 'POST',
+    headers: compactHeaders({ 'Accept': 'application/json', 'Content-Type': 'application/json', ...init.headers }),
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+/**
+ * Stream work order changes
+ * GET /workorders/events (text/event-stream)
+ * @param {{ baseUrl: string, withCredentials?: boolean }} options - API base URL and EventSource options
+ * @returns {EventSource} Open event stream; it resends Last-Event-ID by itself when it reconnects
+ */
+export function streamWorkOrderEvents({ baseUrl, ...init }) {
+  return new EventSource(buildUrl(baseUrl, '/workorders/events'), init);
+}
+
+/**
+ * Update a work order
+ * PATCH /workorders/{id} (application/json)
+ * @param {string} id - Work order id, e.g. WO-000001
+ * @param {WorkOrderPatch} body - JSON request body
+ * @param {Object} options - { baseUrl, send = fetch, ...init }: send(url, init) performs the request;
+ *   the rest of init (signal, headers, ...) is passed through to it
+ * @returns {Promise<*>} Whatever send resolves to (with fetch, a Response with a UpdateWorkOrderResponse body)
+ */
+export function updateWorkOrder(id, body, { baseUrl, send = fetch, ...init }) {
+  const url = buildUrl(baseUrl, `/workorders/${encodeURIComponent(id)}`);
+  return send(url, {
+    ...init,
+    method: 'PATCH',
+    headers: compactHeaders({ 'Accept': 'application/json', 'Content-Type': 'application/json', ...init.headers }),
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+/**
+ * Delete a work order
+ * DELETE /workorders/{id} (application/json)
+ * @param {string} id - Work order id, e.g. WO-000001
+ * @param {Object} options - { baseUrl, send = fetch, ...init }: send(url, init) performs the request;
+ *   the rest of init (signal, headers, ...) is passed through to it
+ * @returns {Promise<*>} Whatever send resolves to
+ */
+export function deleteWorkOrder(id, { baseUrl, send = fetch, ...init }) {
+  const url = buildUrl(baseUrl, `/workorders/${encodeURIComponent(id)}`);
+  return send(url, {
+    ...init,
+    method: 'DELETE',
+    headers: compactHeaders({ 'Accept': 'application/json', ...init.headers })
+  });
+}
@@ -0,0 +1,38 @@
+/**
+ * Mock API Control Service
+ * Reads and changes the latency/fault settings of the local mock server (server/faults.js)
+ */
+
+import { getEnvironments } from '../config';
+
+const controlUrl = () => getEnvironments().local.controlUrl;
+
+/**
+ * Fetch the active fault config
+ * @returns {Promise<Object>} Fault config
+ */
+export async function getMockFaults() {
+  const response = await fetch(controlUrl());
+  if (!response.ok) {
+    throw new Error(`Mock API control unavailable (status ${response.status})`);
+  }
+  return response.json();
+}
+
+/**
+ * Replace the fault config; settings left out return to their defaults
+ * @param {Object} faults - Fault settings
+ * @returns {Promise<Object>} Fault config now active
+ */
+export async function setMockFaults(faults) {
+  const response = await fetch(controlUrl(), {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(faults)
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error);
+  }
+  return data;
+}
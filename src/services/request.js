@@ -0,0 +1,218 @@
+/**
+ * Resilient Request Helper
+ * fetch with AbortSignal-based timeouts, retries with exponential backoff and jitter,
+ * and a per-host circuit breaker that stops hammering a dead API.
+ */
+
+export const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+export class HttpError extends Error {
+  constructor(response) {
+    super(`HTTP error! status: ${response.status}`);
+    this.name = 'HttpError';
+    this.status = response.status;
+    this.response = response;
+  }
+}
+
+export class TimeoutError extends Error {
+  constructor(timeout) {
+    super(`API request timeout after ${timeout}ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(host, retryAt) {
+    super(`Circuit open for ${host}, not retrying until ${new Date(retryAt).toLocaleTimeString()}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Circuit breaker: after `threshold` consecutive failures the host is skipped for
+ * `cooldown` ms, then a single trial request decides whether it closes again.
+ */
+class CircuitBreaker {
+  constructor({ threshold = 5, cooldown = 30000 } = {}) {
+    this.threshold = threshold;
+    this.cooldown = cooldown;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Throws while open; lets one request through once the cooldown has passed
+  check(host) {
+    if (this.openedAt === null) return;
+
+    const retryAt = this.openedAt + this.cooldown;
+    if (Date.now() < retryAt || this.trialInFlight) {
+      throw new CircuitOpenError(host, retryAt);
+    }
+    this.trialInFlight = true;
+  }
+
+  success() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // A request that ended without an answer either way (the caller aborted it) gives up its trial slot
+  release() {
+    this.trialInFlight = false;
+  }
+
+  failure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+    if (this.failures >= this.threshold) {
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+// One breaker per origin, shared by every request to it
+const breakers = new Map();
+
+function getBreaker(host, options) {
+  if (!breakers.has(host)) {
+    breakers.set(host, new CircuitBreaker(options));
+  }
+  return breakers.get(host);
+}
+
+/**
+ * Close every circuit, e.g. after switching API environments or for a manual retry
+ */
+export function resetCircuitBreakers() {
+  breakers.clear();
+}
+
+/**
+ * Abort when any of the given signals aborts
+ * @param {Array<AbortSignal|undefined>} signals - Signals to follow
+ * @returns {AbortSignal} Combined signal
+ */
+function anySignal(signals) {
+  const active = signals.filter(Boolean);
+  if (typeof AbortSignal.any === 'function') return AbortSignal.any(active);
+
+  const controller = new AbortController();
+  active.forEach(signal => {
+    if (signal.aborted) controller.abort(signal.reason);
+    else signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  });
+  return controller.signal;
+}
+
+/**
+ * Wait, unless the signal aborts first
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Cancels the wait
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with full jitter,
+ * or the server's Retry-After header when it sent one
+ * @param {number} attempt - Attempt that just failed (0-based)
+ * @param {Object} backoff - { base, max } in ms
+ * @param {Error} error - Why the attempt failed
+ * @returns {number} Delay in ms
+ */
+function retryDelay(attempt, { base, max }, error) {
+  const retryAfter = Number(error.response?.headers.get('Retry-After'));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, max);
+
+  return Math.random() * Math.min(max, base * 2 ** attempt);
+}
+
+/**
+ * Fetch with timeout, retries and circuit breaking
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch init plus request options
+ * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+ * @param {number} [options.timeout=8000] - Per-attempt timeout in ms, aborts the underlying fetch
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {Array<number>} [options.retryOn] - Status codes worth retrying
+ * @param {Object} [options.backoff] - { base = 300, max = 5000 } in ms
+ * @param {Object} [options.circuitBreaker] - { threshold = 5, cooldown = 30000 } for a new breaker
+ * @param {Function} [options.parse] - (response, { keepAlive }) => body; runs inside the attempt so bad
+ *   bodies retry too. keepAlive() restarts the timeout, so a long stream only times out when it stalls.
+ * @param {Function} [options.onRetry] - Called with ({ attempt, retries, delay, error }) before each retry
+ * @returns {Promise<*>} Parsed body (or the Response when no parse function is given)
+ */
+export async function request(url, {
+  signal,
+  timeout = 8000,
+  retries = 3,
+  retryOn = RETRYABLE_STATUSES,
+  backoff = {},
+  circuitBreaker,
+  parse = (response) => response,
+  onRetry,
+  ...init
+} = {}) {
+  const host = new URL(url, globalThis.location?.href).origin;
+  const breaker = getBreaker(host, circuitBreaker);
+  const delays = { base: 300, max: 5000, ...backoff };
+
+  for (let attempt = 0; ; attempt++) {
+    breaker.check(host);
+
+    // Fresh timeout per attempt, cleared as soon as the attempt settles
+    const timeoutController = new AbortController();
+    let timer;
+    const armTimeout = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => timeoutController.abort(new TimeoutError(timeout)), timeout);
+    };
+    armTimeout();
+
+    try {
+      const response = await fetch(url, { ...init, signal: anySignal([signal, timeoutController.signal]) });
+      // 304 only comes back for conditional requests, and the caller's parse knows what to do with it
+      if (!response.ok && response.status !== 304) throw new HttpError(response);
+
+      const body = await parse(response, { keepAlive: armTimeout });
+      breaker.success();
+      return body;
+    } catch (caught) {
+      // The caller cancelled - not the host's fault, never retried
+      if (signal?.aborted) {
+        breaker.release();
+        throw caught;
+      }
+
+      const error = timeoutController.signal.aborted ? new TimeoutError(timeout) : caught;
+      const retryable = error instanceof HttpError ? retryOn.includes(error.status) : true;
+
+      // A 4xx answer means the host is up: it closes the breaker like a success, also on the trial request
+      if (error instanceof HttpError && error.status < 500) breaker.success();
+      else breaker.failure();
+
+      if (!retryable || attempt >= retries) throw error;
+
+      const delay = retryDelay(attempt, delays, error);
+      onRetry?.({ attempt: attempt + 1, retries, delay, error });
+      await sleep(delay, signal);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Work Order Live Updates
+ * Listens to the API's /workorders/events stream (Server-Sent Events) and merges
+ * created, updated and deleted work orders into an already loaded list.
+ */
+
+import { getApiConfig } from '../config';
+import { validateRecord } from '../utils/workOrderSchema';
+import { streamWorkOrderEvents } from './generated/apiClient';
+
+export const EVENT_TYPES = ['created', 'updated', 'deleted'];
+
+/**
+ * Subscribe to live work order changes of the active API environment.
+ * EventSource reconnects by itself and resends Last-Event-ID, so the server replays what was missed.
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onEvent - Called with { type, id, workOrder } (workOrder is undefined for deleted)
+ * @param {Function} [handlers.onStatus] - Called with 'connecting', 'live' or 'reconnecting'
+ * @returns {Function} Closes the stream
+ */
+export function subscribeWorkOrderEvents({ onEvent, onStatus }) {
+  const { baseUrl } = getApiConfig();
+  const source = streamWorkOrderEvents({ baseUrl });
+
+  onStatus?.('connecting');
+  source.onopen = () => onStatus?.('live');
+  source.onerror = () => onStatus?.('reconnecting');
+
+  EVENT_TYPES.forEach(type => {
+    source.addEventListener(type, (message) => {
+      let data;
+      try {
+        data = JSON.parse(message.data);
+      } catch {
+        console.warn(`Ignoring malformed ${type} event:`, message.data);
+        return;
+      }
+
+      if (type === 'deleted') {
+        onEvent({ type, id: data.id });
+        return;
+      }
+
+      // Pushed records get the same schema check as fetched ones
+      const { value, errors } = validateRecord(data);
+      if (!value) {
+        console.warn(`Ignoring invalid ${type} event for ${data?.id}:`, errors.map(error => error.message).join(', '));
+        return;
+      }
+      onEvent({ type, id: value.id, workOrder: value });
+    });
+  });
+
+  return () => source.close();
+}
+
+/**
+ * Apply one event to a list of work orders, matching by id
+ * @param {Array} rows - Current list
+ * @param {Object} event - { type, id, workOrder } from subscribeWorkOrderEvents
+ * @param {Object} [options] - { append: false } to only update and remove, e.g. for a server-filtered page
+ * @returns {Array} New list (or the same list when nothing changed)
+ */
+export function mergeWorkOrderEvent(rows, { type, id, workOrder }, { append = true } = {}) {
+  const index = rows.findIndex(row => row.id === id);
+
+  if (type === 'deleted') {
+    return index === -1 ? rows : [...rows.slice(0, index), ...rows.slice(index + 1)];
+  }
+  if (index !== -1) {
+    return [...rows.slice(0, index), workOrder, ...rows.slice(index + 1)];
+  }
+  return type === 'created' && append ? [...rows, workOrder] : rows;
+}
@@ -1,72 +1,352 @@
 /**
  * Work Orders API Service
- * Handles fetching work orders from the backend API with fallback to mock data
+ * Handles fetching work orders from the backend API with fallback to mock data,
+ * and creating, updating and deleting them
  */
 
 import { generateWorkOrders } from '../utils/mockData';
+import { queryWorkOrders, toSearchParams, isPaginated, NDJSON_CONTENT_TYPE } from '../utils/workOrderQuery';
+import { getApiConfig } from '../config';
+import { request, HttpError } from './request';
+import * as api from './generated/apiClient';
+import { validateWorkOrders } from '../utils/workOrderSchema';
+import { createIndexedDBAdapter } from '../persist';
 
-const API_BASE_URL = 'https://extra-aubry-chainx-d938c098.koyeb.app';
-const API_TIMEOUT = 8000; // 8 second timeout
+// Generated once, so repeated server-side queries that fall back reuse the same data.
+// Same seed as the local mock API, so the fallback has the same records.
+let mockWorkOrders = null;
+
+function getMockWorkOrders() {
+  if (!mockWorkOrders) mockWorkOrders = generateWorkOrders(50000);
+  return mockWorkOrders;
+}
+
+const STREAM_BATCH_SIZE = 2000; // Records per onChunk call when streaming
 
 /**
- * Fetch work orders from the API with timeout
+ * Work orders of a JSON list response
+ * @param {import('./generated/apiClient').ListWorkOrdersResponse} body - Array, or a WorkOrderPage when paginated
+ * @returns {Array} Records, not yet validated
+ */
+function recordsOf(body) {
+  const records = Array.isArray(body) ? body : body?.items;
+  if (!Array.isArray(records)) {
+    throw new Error('Unexpected response shape: expected a work order array or a WorkOrderPage');
+  }
+  return records;
+}
+
+// Last successful full load per URL: { data, etag, savedAt }
+let cacheAdapter;
+
+function getCache() {
+  if (cacheAdapter === undefined) {
+    cacheAdapter = typeof indexedDB === 'undefined' ? null : createIndexedDBAdapter();
+  }
+  return cacheAdapter;
+}
+
+/**
+ * Keep the work order cache in another storage adapter (see ../persist), e.g. a memory adapter
+ * where IndexedDB is missing. null turns caching off.
+ * @param {Object|null} adapter - Storage adapter
+ */
+export function setWorkOrderCacheAdapter(adapter) {
+  cacheAdapter = adapter;
+}
+
+// Cache failures (private mode, quota) only cost the offline copy, never the request
+async function readCache(key) {
+  try {
+    return await getCache()?.getItem(key) ?? null;
+  } catch (error) {
+    console.warn('Work order cache unavailable:', error.message);
+    return null;
+  }
+}
+
+function writeCache(key, entry) {
+  getCache()?.setItem(key, entry).catch(error => {
+    console.warn('Work orders not cached:', error.message);
+  });
+}
+
+/**
+ * Stream work orders as NDJSON, validating and handing them over in batches as they arrive.
+ * A retried stream skips the records it already delivered, matched by id rather than by position,
+ * so onChunk never sees duplicates and rows added or removed on the server in between are not skipped.
+ * Servers that ignore the NDJSON Accept header answer with JSON, delivered as a single chunk.
+ * An unpaginated stream that ends with fewer records than its X-Total-Count was cut off at a line break:
+ * it fails (and is retried) instead of passing for the whole dataset.
+ * @param {import('./generated/apiClient').ListWorkOrdersParams} params - Query and If-None-Match
+ * @param {Object} options - { onChunk, ...request options including baseUrl }
+ * @returns {Promise<Object>} { data, rejected, total, nextCursor, etag, notModified } once the stream has ended
+ */
+async function streamWorkOrders(params, { onChunk, ...options }) {
+  const paginated = params.limit !== undefined || params.cursor !== undefined;
+  const data = [];
+  const rejected = [];
+  let delivered = 0;
+  // Ids of delivered records; records without one (rejected by validation anyway) go by their JSON
+  const deliveredKeys = new Set();
+  const keyOf = (record) => (typeof record?.id === 'string' ? record.id : JSON.stringify(record));
+  let total = null;
+  let nextCursor = null;
+  let etag = null;
+  let notModified = false;
+
+  const deliver = (incoming) => {
+    const records = incoming.filter(record => !deliveredKeys.has(keyOf(record)));
+    if (records.length === 0) return;
+    records.forEach(record => deliveredKeys.add(keyOf(record)));
+
+    const result = validateWorkOrders(records);
+    const batchRejected = result.rejected.map(entry => ({ ...entry, index: entry.index + delivered }));
+    delivered += records.length;
+    data.push(...result.valid);
+    rejected.push(...batchRejected);
+    onChunk?.({ data: result.valid, rejected: batchRejected, loaded: delivered, total });
+  };
+
+  await api.listWorkOrders(params, {
+    ...options,
+    headers: { 'Accept': `${NDJSON_CONTENT_TYPE}, application/json;q=0.9` },
+    parse: async (response, { keepAlive }) => {
+      notModified = response.status === 304;
+      if (notModified) return;
+
+      etag = response.headers.get('ETag');
+      total = response.headers.has('X-Total-Count') ? Number(response.headers.get('X-Total-Count')) : null;
+      nextCursor = response.headers.get('X-Next-Cursor');
+
+      if (!response.headers.get('Content-Type')?.includes(NDJSON_CONTENT_TYPE)) {
+        const body = await response.json();
+        const records = recordsOf(body);
+        total = body.total ?? total ?? records.length;
+        nextCursor = body.nextCursor ?? nextCursor;
+        deliver(records);
+        return;
+      }
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      let batch = [];
+      let received = 0; // Records in this response, including ones delivered by an earlier attempt
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        keepAlive(); // Time out when the stream stalls, not because it is long
+
+        const lines = (buffer + value).split('\n');
+        buffer = lines.pop();
+        for (const text of lines) {
+          if (!text.trim()) continue;
+          batch.push(JSON.parse(text));
+          received++;
+          if (batch.length >= STREAM_BATCH_SIZE) {
+            deliver(batch);
+            batch = [];
+          }
+        }
+      }
+
+      deliver(batch);
+      // A last line without its newline is a record cut off mid-way; JSON.parse throws and the stream is retried
+      if (buffer.trim()) {
+        deliver([JSON.parse(buffer)]);
+        received++;
+      }
+      if (!paginated && total !== null && received !== total) {
+        throw new Error(`Work order stream ended after ${received} of ${total} records`);
+      }
+    }
+  });
+
+  return { data, rejected, total: total ?? data.length, nextCursor, etag, notModified };
+}
+
+/**
+ * Fetch work orders as one JSON document
+ * @param {import('./generated/apiClient').ListWorkOrdersParams} params - Query and If-None-Match
+ * @param {Object} options - Request options including baseUrl
+ * @returns {Promise<Object>} { data, rejected, total, offset, limit, nextCursor, etag, notModified }
+ */
+async function fetchJsonWorkOrders(params, options) {
+  // Parsed inside the request so a truncated body is retried like a failed request
+  const { body, etag, notModified } = await api.listWorkOrders(params, {
+    ...options,
+    parse: async (response) => (response.status === 304
+      ? { notModified: true }
+      : { body: await response.json(), etag: response.headers.get('ETag') })
+  });
+  if (notModified) return { notModified };
+  
+  const records = recordsOf(body);
+  
+  // Quarantine records that don't match the WorkOrder schema instead of rendering them
+  const { valid, rejected } = validateWorkOrders(records);
+  if (rejected.length > 0) {
+    console.warn(`${rejected.length} of ${records.length} work orders rejected by schema validation`);
+  }
+  
+  return {
+    data: valid,
+    rejected,
+    total: Array.isArray(body) ? valid.length : (body.total ?? records.length),
+    offset: body.offset,
+    limit: body.limit,
+    nextCursor: body.nextCursor ?? null,
+    etag
+  };
+}
+
+/**
+ * Fetch work orders from the API with timeout, retries and circuit breaking (see ./request)
  * @param {Object} options - Fetch options
  * @param {AbortSignal} options.signal - Abort signal for cancellation
- * @returns {Promise<Object>} Response with work orders
+ * @param {Object} [options.query] - Server-side q, status, priority, department,
+ *   createdFrom, createdTo, sort, limit, offset, cursor (see utils/workOrderQuery)
+ * @param {Function} [options.onRetry] - Called before each retry with { attempt, retries, delay, error }
+ * @param {boolean} [options.stream=false] - Request NDJSON and parse records as they arrive
+ * @param {Function} [options.onChunk] - Streaming only: called per batch with { data, rejected, loaded, total }
+ * @param {boolean} [options.cache=false] - Stale-while-revalidate for unpaginated loads: keep the last
+ *   response in IndexedDB, revalidate it with If-None-Match, and serve it when the API is unreachable
+ * @param {Function} [options.onCached] - Called with the cached result before revalidating, if there is one
+ * @returns {Promise<Object>} Response with valid work orders, the rejected ones (see utils/workOrderSchema),
+ *   source ('api', 'cache' or 'mock'), cachedAt when the data came from the cache,
+ *   plus offset/limit/nextCursor when paginated
  */
-export async function fetchWorkOrders({ signal } = {}) {
-  // Create a timeout promise
-  const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => reject(new Error('API request timeout')), API_TIMEOUT);
+export async function fetchWorkOrders({ signal, query, onRetry, stream = false, onChunk, cache = false, onCached } = {}) {
+  const { baseUrl, timeout } = getApiConfig();
+  // toSearchParams drops the UI's 'All' and empty filters
+  const searchParams = toSearchParams(query);
+  const search = searchParams.toString();
+  
+  // Only whole datasets are cached; pages are cheap to refetch and depend on the query
+  const cacheKey = cache && !isPaginated(query) ? `workorders:${baseUrl}/workorders${search ? `?${search}` : ''}` : null;
+  const cached = cacheKey ? await readCache(cacheKey) : null;
+  const fromCache = (extra) => ({
+    data: cached.data,
+    total: cached.data.length,
+    rejected: [],
+    cachedAt: cached.savedAt,
+    ...extra
   });
+  
+  if (cached) onCached?.(fromCache({ source: 'cache' }));
+  const params = { ...Object.fromEntries(searchParams), ifNoneMatch: cached?.etag ?? undefined };
+  const options = { baseUrl, send: request, signal, timeout, onRetry, cache: 'no-store' };
 
   try {
-    const url = `${API_BASE_URL}/workorders`;
+    const result = stream
+      ? await streamWorkOrders(params, { ...options, onChunk })
+      : await fetchJsonWorkOrders(params, options);
     
-    // Race between fetch and timeout
-    const response = await Promise.race([
-      fetch(url, {
-        signal,
-        headers: {
-          'Accept': 'application/json',
-        },
-      }),
-      timeoutPromise
-    ]);
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    // 304: the cached copy is still current
+    if (result.notModified && cached) {
+      return fromCache({ source: 'api', notModified: true });
     }
-
-    const data = await response.json();
     
-    // API returns array directly
-    if (Array.isArray(data)) {
-      return {
-        data,
-        total: data.length,
-        source: 'api'
-      };
+    if (cacheKey) {
+      writeCache(cacheKey, { data: result.data, etag: result.etag, savedAt: Date.now() });
     }
     
     return {
-      data: data.items || data.data || data,
-      total: data.total || (data.items || data.data || data).length,
+      data: result.data,
+      // A streamed X-Total-Count includes rejected records; a full load counts what it kept
+      total: stream && !isPaginated(query) ? result.data.length : result.total,
+      ...(isPaginated(query) && { offset: result.offset, limit: result.limit, nextCursor: result.nextCursor ?? null }),
+      rejected: result.rejected,
       source: 'api'
     };
   } catch (error) {
-    if (error.name === 'AbortError') {
+    if (signal?.aborted) {
       throw new Error('Request was cancelled');
     }
     
-    // Fallback to mock data if API fails
+    // Offline or failing: the last good response beats made-up data
+    if (cached) {
+      console.warn('API request failed, using cached data:', error.message);
+      return fromCache({ source: 'cache', error: error.message });
+    }
+    
+    // Fallback to mock data if API fails, answering the query the same way the server would
     console.warn('API request failed, using mock data:', error.message);
-    const mockData = generateWorkOrders(50000);
+    const page = queryWorkOrders(getMockWorkOrders(), query);
     return {
-      data: mockData,
-      total: mockData.length,
+      data: page.items,
+      total: page.total,
+      ...(isPaginated(query) && { offset: page.offset, limit: page.limit, nextCursor: page.nextCursor }),
+      rejected: [],
       source: 'mock',
       error: error.message
     };
   }
 }
+
+/**
+ * Send a create/update/delete request. Mutations are not retried automatically:
+ * a lost response would turn a retried POST into a duplicate. Callers roll back instead.
+ * @param {Function} operation - Generated client function, called with the request options
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object|null>} Response body, null for 204
+ */
+async function sendMutation(operation, { signal }) {
+  const { baseUrl, timeout } = getApiConfig();
+
+  try {
+    return await operation({
+      baseUrl,
+      send: request,
+      signal,
+      timeout,
+      retries: 0,
+      parse: (response) => (response.status === 204 ? null : response.json())
+    });
+  } catch (error) {
+    // Prefer the API's own explanation ("unknown status ...") over the bare status code
+    if (error instanceof HttpError) {
+      const details = await error.response.json().catch(() => null);
+      if (details?.error) error.message = details.error;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create a work order
+ * @param {import('./generated/apiClient').WorkOrderInput} input - New work order
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<import('./generated/apiClient').WorkOrder>} Created work order with its server-assigned id and createdDate
+ */
+export function createWorkOrder(input, { signal } = {}) {
+  return sendMutation(options => api.createWorkOrder(input, options), { signal });
+}
+
+/**
+ * Update some fields of a work order
+ * @param {string} id - Work order id
+ * @param {import('./generated/apiClient').WorkOrderPatch} patch - Fields to change
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<import('./generated/apiClient').WorkOrder>} Updated work order
+ */
+export function updateWorkOrder(id, patch, { signal } = {}) {
+  return sendMutation(options => api.updateWorkOrder(id, patch, options), { signal });
+}
+
+/**
+ * Delete a work order. A 404 counts as success: the record is gone either way, e.g. another
+ * user or a lost response to an earlier attempt already deleted it.
+ * @param {string} id - Work order id
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<null>}
+ */
+export async function deleteWorkOrder(id, { signal } = {}) {
+  try {
+    return await sendMutation(options => api.deleteWorkOrder(id, options), { signal });
+  } catch (error) {
+    if (error instanceof HttpError && error.status === 404) return null;
+    throw error;
+  }
+}
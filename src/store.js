@@ -1,23 +1,260 @@
-// Simple store implementation for selective re-rendering demo
-let state = {
-  cart: { items: [] },
-  user: { name: '' }
+// Simple store factory for selective re-rendering demo
+// Each call returns an isolated store, so demos and features never share state.
+
+import { startTransition } from 'react';
+import { protectState, readOnly } from './mutationCheck';
+import { REHYDRATE } from './persist';
+
+// When queued listener notifications run
+const schedulers = {
+  sync: (flush) => flush(),
+  microtask: (flush) => queueMicrotask(flush),
+  frame: (flush) => (typeof requestAnimationFrame === 'function'
+    ? requestAnimationFrame(flush)
+    : setTimeout(flush, 16))
 };
 
-let listeners = new Set();
+/**
+ * Create a store holding its own state and listeners
+ *
+ * Every change goes through `dispatch`, so middleware sees a named action for
+ * both reducer actions and `setState` calls. Listeners are notified once per
+ * scheduler tick, however many updates happened in it.
+ *
+ * @param {Object} initialState - State the store starts with
+ * @param {Object} [options] - Store options
+ * @param {Function} [options.reducer] - (state, action) => nextState for dispatched actions
+ * @param {Array<Function>} [options.middleware] - store => next => action => result
+ * @param {'sync'|'microtask'|'frame'} [options.scheduler='microtask'] - When listeners are notified
+ * @param {boolean} [options.devChecks] - Hand out read-only state and report writes to it (on in development)
+ * @returns {{ getState: Function, setState: Function, dispatch: Function, subscribe: Function,
+ *   subscribeActions: Function, batch: Function, transition: Function }} Store API
+ */
+function createStore(initialState = {}, {
+  reducer,
+  middleware = [],
+  scheduler = 'microtask',
+  devChecks = Boolean(import.meta.env?.DEV)
+} = {}) {
+  // With dev checks the store keeps plain objects and hands out read-only views of them
+  const guard = devChecks ? protectState : (value) => value;
+  let state = guard(initialState);
+  const listeners = new Set();
+  const actionListeners = new Set();
+  const schedule = schedulers[scheduler];
+  const view = devChecks ? readOnly : (value) => value;
+
+  let batchDepth = 0;
+  let transitionDepth = 0;
+  let urgentPending = false;
+  let urgentScheduled = false;
+  let transitionPending = false;
+  let transitionScheduled = false;
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  /**
+   * Call a listener synchronously after every action that changed state, with (action, prevState).
+   * Unlike subscribe it runs once per action, even inside batch, so it sees which action made a change.
+   * @param {Function} listener - (action, prevState) => void
+   * @returns {Function} Unsubscribe
+   */
+  function subscribeActions(listener) {
+    actionListeners.add(listener);
+    return () => actionListeners.delete(listener);
+  }
+
+  function getState() {
+    return view(state);
+  }
+
+  function notifyListeners() {
+    listeners.forEach(listener => listener());
+  }
+
+  // Urgent flush also covers any transition update still waiting
+  function flushUrgent() {
+    urgentScheduled = false;
+    if (!urgentPending) return;
+    urgentPending = false;
+    transitionPending = false;
+    notifyListeners();
+  }
+
+  function flushTransition() {
+    transitionScheduled = false;
+    if (!transitionPending) return;
+    transitionPending = false;
+    startTransition(notifyListeners);
+  }
+
+  function queueNotification() {
+    if (transitionDepth > 0) {
+      transitionPending = true;
+      // Yield to the event loop first so urgent work (input, urgent flushes) goes ahead
+      if (batchDepth === 0 && !transitionScheduled) {
+        transitionScheduled = true;
+        setTimeout(flushTransition, 0);
+      }
+      return;
+    }
+
+    urgentPending = true;
+    if (batchDepth === 0 && !urgentScheduled) {
+      urgentScheduled = true;
+      schedule(flushUrgent);
+    }
+  }
+
+  // End of the middleware chain - actually applies the action
+  function applyAction(action) {
+    const prevState = state;
+    if (action.updater !== undefined) {
+      state = guard(typeof action.updater === 'function' ? action.updater(getState()) : action.updater);
+    } else if (reducer) {
+      state = guard(reducer(getState(), action));
+    }
+    if (state !== prevState) {
+      actionListeners.forEach(listener => listener(action, view(prevState)));
+      queueNotification();
+    }
+    return action;
+  }
+
+  /**
+   * Run several updates and notify listeners once, when fn returns
+   * @param {Function} fn - Performs the updates
+   * @returns {*} Whatever fn returns
+   */
+  function batch(fn) {
+    batchDepth += 1;
+    try {
+      return fn();
+    } finally {
+      batchDepth -= 1;
+      if (batchDepth === 0) {
+        flushUrgent();
+        if (transitionPending && !transitionScheduled) {
+          transitionScheduled = true;
+          setTimeout(flushTransition, 0);
+        }
+      }
+    }
+  }
+
+  /**
+   * Mark updates as non-urgent: listeners run later, inside React's startTransition.
+   * Subscribers doing heavy work then yield to input and other urgent updates.
+   * @param {Function} fn - Performs the updates
+   * @returns {*} Whatever fn returns
+   */
+  function transition(fn) {
+    transitionDepth += 1;
+    try {
+      return fn();
+    } finally {
+      transitionDepth -= 1;
+    }
+  }
+
+  let dispatch = () => {
+    throw new Error('Dispatching while building the middleware chain is not allowed');
+  };
+
+  const middlewareAPI = {
+    getState,
+    dispatch: (action) => dispatch(action)
+  };
 
-function subscribe(listener) {
-  listeners.add(listener);
-  return () => listeners.delete(listener);
+  dispatch = middleware
+    .map(create => create(middlewareAPI))
+    .reduceRight((next, handler) => handler(next), applyAction);
+
+  /**
+   * Replace state with an updater function or a new state object
+   * @param {Function|Object} updater - (state) => nextState, or the next state itself
+   * @param {string} [type='setState'] - Action name shown to middleware and the action log
+   */
+  function setState(updater, type = 'setState') {
+    return dispatch({ type, updater });
+  }
+
+  return { getState, setState, dispatch, subscribe, subscribeActions, batch, transition };
 }
 
-function getState() {
-  return state;
+/**
+ * Add undo/redo and time travel to a store.
+ *
+ * Snapshots are the state objects themselves: updates are immutable, so
+ * consecutive snapshots share every slice that did not change (structural
+ * sharing) instead of holding deep clones.
+ *
+ * A snapshot is taken after every action, so updates batched into one
+ * notification still undo one at a time. Restoring persisted state replaces
+ * the current snapshot instead of adding an undo step.
+ *
+ * @param {Object} store - Store created by createStore
+ * @param {Object} [options] - History options
+ * @param {number} [options.limit=50] - Maximum number of snapshots kept
+ * @returns {Object} The store API plus undo, redo, jumpTo and getHistory
+ */
+function withHistory(store, { limit = 50 } = {}) {
+  let snapshots = [store.getState()];
+  let index = 0;
+  let history;
+
+  // Replaced on every change so useSyncExternalStore sees a new snapshot
+  function updateHistory() {
+    history = {
+      index,
+      size: snapshots.length,
+      canUndo: index > 0,
+      canRedo: index < snapshots.length - 1
+    };
+  }
+  updateHistory();
+
+  // Per action rather than per notification: listeners run once per scheduler tick
+  // or batch, which would fold several updates into one snapshot
+  store.subscribeActions((action) => {
+    // Time travel already moved the index, so a jump matches its own snapshot
+    const state = store.getState();
+    if (state === snapshots[index]) return;
+
+    if (action.type === REHYDRATE) {
+      snapshots = snapshots.map((snapshot, i) => (i === index ? state : snapshot));
+      return;
+    }
+
+    // A new change drops the redo branch, then trims the oldest snapshots
+    snapshots = [...snapshots.slice(0, index + 1), state].slice(-limit);
+    index = snapshots.length - 1;
+    updateHistory();
+  });
+
+  function jumpTo(target) {
+    if (target < 0 || target >= snapshots.length || target === index) return;
+
+    index = target;
+    updateHistory();
+    store.setState(snapshots[target], 'history/jumpTo');
+  }
+
+  return {
+    ...store,
+    undo: () => jumpTo(index - 1),
+    redo: () => jumpTo(index + 1),
+    jumpTo,
+    getHistory: () => history
+  };
 }
 
-function setState(updater) {
-  state = typeof updater === 'function' ? updater(state) : updater;
-  listeners.forEach(listener => listener());
+// Strict equal - re-render whenever the selected reference changes
+function strictEqual(a, b) {
+  return Object.is(a, b);
 }
 
 // Shallow equal for simple comparison
@@ -38,4 +275,24 @@ function shallowEqual(a, b) {
   return true;
 }
 
-export { getState, setState, subscribe, shallowEqual };
\ No newline at end of file
+// Deep equal for selectors that build nested objects or arrays
+function deepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (a == null || b == null) return false;
+  if (typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+
+  if (keysA.length !== keysB.length) return false;
+
+  for (let key of keysA) {
+    if (!Object.prototype.hasOwnProperty.call(b, key)) return false;
+    if (!deepEqual(a[key], b[key])) return false;
+  }
+
+  return true;
+}
+
+export { createStore, withHistory, strictEqual, shallowEqual, deepEqual };
\ No newline at end of file
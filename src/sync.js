@@ -0,0 +1,131 @@
+// Opt-in cross-tab synchronization of store slices
+// Patches travel over BroadcastChannel, or localStorage "storage" events where it is missing.
+
+import { toRaw } from './mutationCheck';
+import { REHYDRATE } from './persist';
+
+/**
+ * Open a message transport shared by every tab of this origin
+ * @param {string} name - Channel name
+ * @param {Function} onMessage - Called with every message posted by another tab
+ * @returns {{ post: Function, close: Function }} Transport
+ */
+function openTransport(name, onMessage) {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(name);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close()
+    };
+  }
+
+  // Fallback: other tabs receive a "storage" event for every write to the key
+  const key = `sync:${name}`;
+  const handleStorage = (event) => {
+    if (event.key === key && event.newValue) {
+      onMessage(JSON.parse(event.newValue));
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    post: (message) => localStorage.setItem(key, JSON.stringify({ ...message, nonce: Math.random() })),
+    close: () => window.removeEventListener('storage', handleStorage)
+  };
+}
+
+/**
+ * Keep selected slices of a store in sync across browser tabs
+ *
+ * Each slice carries a (time, tabId) stamp and conflicts resolve last-writer-wins
+ * per slice. Remote patches only replace the slices that changed, so other slices
+ * keep their identity and their useSelector subscribers do not re-render.
+ *
+ * @param {Object} store - Store created by createStore
+ * @param {Object} options - Sync options
+ * @param {string} options.channel - Channel name shared by the tabs
+ * @param {Array<string>} options.slices - Top-level slices to synchronize
+ * @returns {{ tabId: string, stop: Function }} Sync handle
+ */
+export function syncTabs(store, { channel, slices }) {
+  const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const stamps = {};
+  let lastSeen = { ...store.getState() };
+
+  // Later time wins; the tab id breaks ties so every tab picks the same winner
+  const isNewer = (stamp, current) =>
+    !current || stamp.time > current.time || (stamp.time === current.time && stamp.tabId > current.tabId);
+
+  function stampedSlices(names) {
+    const state = store.getState();
+    // toRaw: postMessage can't clone the store's read-only views
+    return Object.fromEntries(names.map(slice => [slice, { value: toRaw(state[slice]), ...stamps[slice] }]));
+  }
+
+  function applyPatch(patch) {
+    const accepted = {};
+
+    for (const [slice, entry] of Object.entries(patch)) {
+      if (!slices.includes(slice) || !isNewer(entry, stamps[slice])) continue;
+      stamps[slice] = { time: entry.time, tabId: entry.tabId };
+      accepted[slice] = entry.value;
+    }
+
+    if (Object.keys(accepted).length === 0) return;
+
+    store.setState(state => ({ ...state, ...accepted }), 'sync/remotePatch');
+    // Mark the remote values as seen so the (possibly deferred) listener does not echo them back.
+    // Read back from the store, which may hand them out as read-only views.
+    const state = store.getState();
+    lastSeen = { ...lastSeen, ...Object.fromEntries(Object.keys(accepted).map(slice => [slice, state[slice]])) };
+  }
+
+  const transport = openTransport(channel, (message) => {
+    if (message.from === tabId) return;
+
+    if (message.type === 'patch') {
+      applyPatch(message.patch);
+    } else if (message.type === 'hello') {
+      // A new tab asked for the current state - answer with every stamped slice
+      const known = slices.filter(slice => stamps[slice]);
+      if (known.length > 0) {
+        transport.post({ type: 'patch', from: tabId, patch: stampedSlices(known) });
+      }
+    }
+  });
+
+  // Restored slices are this tab's saved copy, older than what other tabs hold: they are taken as
+  // seen without a stamp, so they are not broadcast and any stamped value from another tab wins
+  const unsubscribeActions = store.subscribeActions((action, prevState) => {
+    if (action.type !== REHYDRATE) return;
+    const state = store.getState();
+    const restored = slices.filter(slice => state[slice] !== prevState[slice]);
+    lastSeen = { ...lastSeen, ...Object.fromEntries(restored.map(slice => [slice, state[slice]])) };
+  });
+
+  const unsubscribe = store.subscribe(() => {
+    const state = store.getState();
+    const changed = slices.filter(slice => state[slice] !== lastSeen[slice]);
+    lastSeen = { ...state };
+
+    if (changed.length === 0) return;
+
+    const time = Date.now();
+    changed.forEach(slice => {
+      stamps[slice] = { time, tabId };
+    });
+    transport.post({ type: 'patch', from: tabId, patch: stampedSlices(changed) });
+  });
+
+  transport.post({ type: 'hello', from: tabId });
+
+  return {
+    tabId,
+    stop() {
+      unsubscribe();
+      unsubscribeActions();
+      transport.close();
+    }
+  };
+}
@@ -0,0 +1,210 @@
+// Typo-tolerant search: "calbration" finds "Calibration", "henry more" finds "Henry Moore".
+// Each word of the term has to appear somewhere in the text with at most a few edits
+// (insertions, deletions or substitutions); fewer edits rank higher.
+
+import { searchText } from './searchIndex';
+
+const ASCII = 128;
+
+/**
+ * Edits allowed for a word: none for short words, which would match almost anything otherwise
+ * @param {string} word - Search word
+ * @returns {number} Maximum edit distance
+ */
+function maxEdits(word) {
+  return Math.floor(word.length / 4);
+}
+
+const wordsOf = (term) => term.toLowerCase().split(/\s+/).filter(Boolean);
+
+/**
+ * Smallest edit distance between a word and any substring of a text, counted with Myers'
+ * bit-parallel algorithm: one pass over the text, one machine word per pattern column.
+ * Words longer than 32 characters only keep their first 32.
+ * @param {string} word - Lowercase word
+ * @returns {Function} (text) => distance, stopping early once it is 0
+ */
+function createDistance(word) {
+  const pattern = word.slice(0, 32);
+  const length = pattern.length;
+  const ascii = new Int32Array(ASCII); // Bit i set where pattern[i] is that character
+  const other = new Map();
+  for (let i = 0; i < length; i++) {
+    const code = pattern.charCodeAt(i);
+    if (code < ASCII) ascii[code] |= 1 << i;
+    else other.set(code, (other.get(code) ?? 0) | (1 << i));
+  }
+  const last = 1 << (length - 1);
+
+  return (text) => {
+    let positive = -1; // Vertical deltas of +1, all rows at the start
+    let negative = 0; // Vertical deltas of -1
+    let score = length;
+    let best = length;
+
+    for (let j = 0; j < text.length; j++) {
+      const code = text.charCodeAt(j);
+      const equal = code < ASCII ? ascii[code] : other.get(code) ?? 0;
+      const vertical = equal | negative;
+      const horizontal = (((equal & positive) + positive) ^ positive) | equal;
+      let up = negative | ~(horizontal | positive);
+      let down = positive & horizontal;
+      if (up & last) score++;
+      else if (down & last) score--;
+      // A match may start anywhere in the text, so nothing is shifted in at row 0
+      up <<= 1;
+      down <<= 1;
+      positive = down | ~(vertical | up);
+      negative = up & vertical;
+
+      if (score < best) {
+        best = score;
+        if (best === 0) break;
+      }
+    }
+    return best;
+  };
+}
+
+/**
+ * Create a scorer for a search term
+ * @param {string} term - Search term; every word has to match
+ * @returns {Function} (text) => total edits (lower is a better match), or -1 when a word doesn't match.
+ *   The text is expected in lowercase, see searchText.
+ */
+export function createFuzzyMatcher(term) {
+  const words = wordsOf(term).map(word => ({ distance: createDistance(word), limit: maxEdits(word) }));
+
+  return (text) => {
+    let total = 0;
+    for (const { distance, limit } of words) {
+      const edits = distance(text);
+      if (edits > limit) return -1;
+      total += edits;
+    }
+    return total;
+  };
+}
+
+/**
+ * Filter work orders with typos allowed, on the same fields as filterWorkOrders
+ * @param {Array} workOrders - Work orders
+ * @param {string} searchTerm - Search term
+ * @param {Object} [options] - { index }: a search index (utils/searchIndex) to take the normalized text from
+ * @returns {Array} Matching work orders, in their original order (see createRelevanceComparator for ranking)
+ */
+export function fuzzyFilterWorkOrders(workOrders, searchTerm, { index } = {}) {
+  if (!searchTerm || searchTerm.trim() === '') {
+    return workOrders;
+  }
+
+  const score = createFuzzyMatcher(searchTerm);
+  const textOf = index ? index.textOf : searchText;
+  return workOrders.filter(workOrder => score(textOf(workOrder)) !== -1);
+}
+
+/**
+ * Comparator ranking work orders by how closely they match a term, best first.
+ * Scores are computed once per record, so sorting stays O(n log n) comparisons of numbers.
+ * @param {string} searchTerm - Search term
+ * @param {Function} [textOf] - (workOrder) => normalized text, default searchText
+ * @returns {Function} (a, b) => number
+ */
+export function createRelevanceComparator(searchTerm, textOf = searchText) {
+  const score = createFuzzyMatcher(searchTerm);
+  const scores = new Map();
+  const scoreOf = (workOrder) => {
+    let value = scores.get(workOrder);
+    if (value === undefined) {
+      // Records that don't match (possible when sorting a list that wasn't filtered by this term) go last
+      value = score(textOf(workOrder));
+      if (value === -1) value = Infinity;
+      scores.set(workOrder, value);
+    }
+    return value;
+  };
+
+  return (a, b) => scoreOf(a) - scoreOf(b);
+}
+
+/**
+ * Characters of a word's best fuzzy match in a text that are the same as in the word,
+ * found with the edit distance table and a walk back from the best end position
+ * @param {string} text - Lowercase text
+ * @param {string} word - Lowercase word
+ * @returns {Array<number>} Text positions, or none when the word doesn't match within its edit limit
+ */
+function alignedPositions(text, word) {
+  const rows = word.length + 1;
+  const columns = text.length + 1;
+  const table = new Uint16Array(rows * columns); // table[i * columns + j]: word[0, i) against text ending at j
+  for (let i = 1; i < rows; i++) table[i * columns] = i;
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < columns; j++) {
+      const substitution = table[(i - 1) * columns + j - 1] + (word[i - 1] === text[j - 1] ? 0 : 1);
+      table[i * columns + j] = Math.min(substitution, table[(i - 1) * columns + j] + 1, table[i * columns + j - 1] + 1);
+    }
+  }
+
+  let end = 0;
+  for (let j = 1; j < columns; j++) {
+    if (table[word.length * columns + j] < table[word.length * columns + end]) end = j;
+  }
+  if (table[word.length * columns + end] > maxEdits(word)) return [];
+
+  const positions = [];
+  let i = word.length;
+  let j = end;
+  while (i > 0 && j > 0) {
+    const here = table[i * columns + j];
+    const same = word[i - 1] === text[j - 1];
+    if (here === table[(i - 1) * columns + j - 1] + (same ? 0 : 1)) {
+      if (same) positions.push(j - 1);
+      i--;
+      j--;
+    } else if (here === table[(i - 1) * columns + j] + 1) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+  return positions;
+}
+
+/**
+ * Ranges of a text to highlight for search terms
+ * @param {string} text - Text as displayed
+ * @param {Array<string>} terms - Search terms
+ * @param {Object} [options] - { fuzzy }: highlight typo-tolerant matches of each word instead of exact occurrences
+ * @returns {Array<[number, number]>} Sorted, non-overlapping [start, end) ranges
+ */
+export function findMatchRanges(text, terms, { fuzzy = false } = {}) {
+  const lower = text.toLowerCase();
+  const marked = new Uint8Array(text.length);
+
+  terms.forEach(term => {
+    if (fuzzy) {
+      wordsOf(term).forEach(word => {
+        alignedPositions(lower, word).forEach(position => {
+          marked[position] = 1;
+        });
+      });
+      return;
+    }
+
+    const needle = term.toLowerCase();
+    if (needle.trim() === '') return;
+    for (let at = lower.indexOf(needle); at !== -1; at = lower.indexOf(needle, at + needle.length)) {
+      marked.fill(1, at, at + needle.length);
+    }
+  });
+
+  const ranges = [];
+  marked.forEach((isMarked, position) => {
+    if (!isMarked) return;
+    const previous = ranges[ranges.length - 1];
+    if (previous && previous[1] === position) previous[1] = position + 1;
+    else ranges.push([position, position + 1]);
+  });
+  return ranges;
+}
@@ -1,4 +1,5 @@
 // Generate mock work order data for performance testing
+// Seeded, so the same options give the same data on every run. No imports: scripts/ load this file in plain Node.
 
 const STATUSES = ['Open', 'In Progress', 'Pending Review', 'Completed', 'Blocked', 'Cancelled'];
 const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
@@ -17,50 +18,195 @@ const WORK_TYPES = [
 ];
 
 /**
- * Generate a random work order
- * @param {number} id - Unique identifier
- * @returns {Object} Work order object
+ * Create a mulberry32 generator
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} () => number in [0, 1), like Math.random
  */
-function generateWorkOrder(id) {
-  const status = STATUSES[Math.floor(Math.random() * STATUSES.length)];
-  const priority = PRIORITIES[Math.floor(Math.random() * PRIORITIES.length)];
-  const assignee = ASSIGNEES[Math.floor(Math.random() * ASSIGNEES.length)];
-  const department = DEPARTMENTS[Math.floor(Math.random() * DEPARTMENTS.length)];
-  const workType = WORK_TYPES[Math.floor(Math.random() * WORK_TYPES.length)];
-  
-  // Generate random date within last 90 days
-  const daysAgo = Math.floor(Math.random() * 90);
-  const createdDate = new Date();
-  createdDate.setDate(createdDate.getDate() - daysAgo);
-  
-  // Due date is 7-30 days after creation
-  const dueDate = new Date(createdDate);
-  dueDate.setDate(dueDate.getDate() + 7 + Math.floor(Math.random() * 23));
-  
-  return {
-    id: `WO-${String(id).padStart(6, '0')}`,
-    title: `${workType} - ${department} #${id}`,
-    description: `Perform ${workType.toLowerCase()} for ${department} department. Priority: ${priority}`,
-    status,
-    priority,
-    assignee,
-    department,
-    workType,
-    createdDate: createdDate.toISOString(),
-    dueDate: dueDate.toISOString(),
-    estimatedHours: Math.floor(Math.random() * 40) + 1,
-    completionPercentage: status === 'Completed' ? 100 : Math.floor(Math.random() * 100),
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random integer between min and max, both inclusive
+ * @param {Function} random - Generator from createRandom
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value
+ * @returns {number} Integer
+ */
+function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Create a picker that returns values in proportion to their weights
+ * @param {Function} random - Generator from createRandom
+ * @param {Array} values - Values to pick from
+ * @param {Object} [weights] - { [value]: weight }; values without a weight get 1, no weights at all is uniform
+ * @returns {Function} () => value
+ */
+function createPicker(random, values, weights = {}) {
+  const cumulative = [];
+  let total = 0;
+  values.forEach(value => {
+    total += Math.max(0, weights[value] ?? 1);
+    cumulative.push(total);
+  });
+
+  if (total === 0) {
+    throw new Error(`Every weight is 0 for ${values.join(', ')}`);
+  }
+
+  return () => {
+    const target = random() * total;
+    const index = cumulative.findIndex(bound => target < bound);
+    return values[index === -1 ? values.length - 1 : index];
+  };
+}
+
+// Phrases appended to some titles, so title lengths have a long tail like real ones
+const TITLE_DETAILS = [
+  'north pump station', 'line 3 conveyor', 'boiler room', 'loading dock B',
+  'reported by night shift', 'recurring fault', 'per vendor service bulletin',
+  'after failed inspection', 'spare parts on order', 'requires lockout/tagout',
+  'customer escalation', 'follow-up to previous work order', 'warranty claim pending',
+  'coordinate with facilities', 'noise and vibration above threshold'
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_SEED = 1;
+
+// Dates are relative to a fixed instant instead of today, so a seed always yields the same records
+export const REFERENCE_DATE = '2026-01-01T00:00:00.000Z';
+
+// A few people carry most of the work (Zipf-like)
+const assigneeWorkloads = Object.fromEntries(ASSIGNEES.map((name, rank) => [name, 1 / (rank + 1) ** 0.8]));
+
+/**
+ * Value distributions for generateWorkOrders. Categorical fields take { [value]: weight }
+ * (missing values weigh 1, a missing field is uniform). estimatedHours is { max, skew }:
+ * hours are 1 + max * random^skew, so a skew above 1 favors short jobs.
+ * titleDetailRate is the chance of each extra title phrase (0 keeps titles short).
+ */
+export const DISTRIBUTIONS = {
+  // Every value equally likely
+  uniform: {},
+  realistic: {
+    status: { 'Open': 25, 'In Progress': 30, 'Pending Review': 10, 'Completed': 25, 'Blocked': 5, 'Cancelled': 5 },
+    priority: { 'Low': 30, 'Medium': 40, 'High': 20, 'Critical': 10 },
+    workType: { 'Preventive Maintenance': 5, 'Equipment Repair': 4, 'Safety Inspection': 3, 'Troubleshooting': 3, 'Emergency Fix': 2 },
+    assignee: assigneeWorkloads,
+    estimatedHours: { max: 120, skew: 3 },
+    titleDetailRate: 0.4
+  },
+  // A backlog in trouble: lots of Critical and Blocked work
+  escalation: {
+    status: { 'Open': 20, 'In Progress': 20, 'Pending Review': 5, 'Completed': 5, 'Blocked': 45, 'Cancelled': 5 },
+    priority: { 'Low': 5, 'Medium': 15, 'High': 30, 'Critical': 50 },
+    workType: { 'Emergency Fix': 6, 'Troubleshooting': 4, 'Equipment Repair': 4 },
+    assignee: assigneeWorkloads,
+    estimatedHours: { max: 80, skew: 2 },
+    titleDetailRate: 0.5
+  }
+};
+
+/**
+ * Resolve a distribution option into a full distribution
+ * @param {string|Object} [distribution='uniform'] - Preset name, or fields to use; with a preset key
+ *   the fields override that preset's (weights are merged per field)
+ * @returns {Object} Distribution
+ */
+export function resolveDistribution(distribution = 'uniform') {
+  const { preset = 'uniform', ...overrides } = typeof distribution === 'string' ? { preset: distribution } : distribution;
+  const base = DISTRIBUTIONS[preset];
+  if (!base) {
+    throw new Error(`Unknown distribution "${preset}", expected one of ${Object.keys(DISTRIBUTIONS).join(', ')}`);
+  }
+
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([field, value]) => {
+    merged[field] = value && typeof value === 'object' ? { ...base[field], ...value } : value;
+  });
+  return merged;
+}
+
+/**
+ * Create a work order generator
+ * @param {Function} random - Generator from createRandom
+ * @param {Object} distribution - From resolveDistribution
+ * @param {number} referenceTime - Epoch ms that createdDate counts back from
+ * @returns {Function} (id) => work order
+ */
+function createWorkOrderGenerator(random, distribution, referenceTime) {
+  const pickStatus = createPicker(random, STATUSES, distribution.status);
+  const pickPriority = createPicker(random, PRIORITIES, distribution.priority);
+  const pickAssignee = createPicker(random, ASSIGNEES, distribution.assignee);
+  const pickDepartment = createPicker(random, DEPARTMENTS, distribution.department);
+  const pickWorkType = createPicker(random, WORK_TYPES, distribution.workType);
+  const { max: maxHours = 40, skew = 1 } = distribution.estimatedHours ?? {};
+  const titleDetailRate = distribution.titleDetailRate ?? 0;
+
+  return (id) => {
+    const status = pickStatus();
+    const priority = pickPriority();
+    const assignee = pickAssignee();
+    const department = pickDepartment();
+    const workType = pickWorkType();
+
+    // Created within the 90 days before the reference date
+    const createdTime = referenceTime - Math.floor(random() * 90 * DAY);
+
+    // Due date is 7-29 days after creation
+    const dueTime = createdTime + randomInt(random, 7, 29) * DAY;
+
+    const details = [];
+    while (details.length < TITLE_DETAILS.length && random() < titleDetailRate) {
+      details.push(TITLE_DETAILS[randomInt(random, 0, TITLE_DETAILS.length - 1)]);
+    }
+
+    return {
+      id: `WO-${String(id).padStart(6, '0')}`,
+      title: `${workType} - ${department} #${id}${details.length > 0 ? `: ${details.join(', ')}` : ''}`,
+      description: `Perform ${workType.toLowerCase()} for ${department} department. Priority: ${priority}`,
+      status,
+      priority,
+      assignee,
+      department,
+      workType,
+      createdDate: new Date(createdTime).toISOString(),
+      dueDate: new Date(dueTime).toISOString(),
+      estimatedHours: 1 + Math.floor(random() ** skew * maxHours),
+      completionPercentage: status === 'Completed' ? 100 : randomInt(random, 0, 99),
+    };
   };
 }
 
 /**
- * Generate an array of work orders
+ * Generate an array of work orders. The same count and options always give the same records.
  * @param {number} count - Number of work orders to generate
+ * @param {Object} [options] - Generator options
+ * @param {number} [options.seed=DEFAULT_SEED] - PRNG seed
+ * @param {string|number} [options.referenceDate=REFERENCE_DATE] - Instant the dates are relative to
+ * @param {string|Object} [options.distribution='uniform'] - Preset name or fields, see resolveDistribution
  * @returns {Array} Array of work order objects
  */
-export function generateWorkOrders(count = 50000) {
+export function generateWorkOrders(count = 50000, { seed = DEFAULT_SEED, referenceDate = REFERENCE_DATE, distribution } = {}) {
+  const referenceTime = new Date(referenceDate).getTime();
+  if (Number.isNaN(referenceTime)) {
+    throw new Error(`Invalid reference date "${referenceDate}"`);
+  }
+
   console.time('Generate mock data');
-  const workOrders = Array.from({ length: count }, (_, i) => generateWorkOrder(i + 1));
+  const generate = createWorkOrderGenerator(createRandom(seed), resolveDistribution(distribution), referenceTime);
+  const workOrders = Array.from({ length: count }, (_, i) => generate(i + 1));
   console.timeEnd('Generate mock data');
   return workOrders;
 }
@@ -69,13 +215,18 @@ export function generateWorkOrders(count = 50000) {
  * Filter work orders by search term
  * @param {Array} workOrders - Array of work orders
  * @param {string} searchTerm - Search term to filter by
+ * @param {Object} [options] - { index }: a search index (utils/searchIndex) to answer from instead of scanning
  * @returns {Array} Filtered work orders
  */
-export function filterWorkOrders(workOrders, searchTerm) {
+export function filterWorkOrders(workOrders, searchTerm, { index } = {}) {
   if (!searchTerm || searchTerm.trim() === '') {
     return workOrders;
   }
   
+  if (index) {
+    return index.search(workOrders, searchTerm);
+  }
+  
   const term = searchTerm.toLowerCase();
   return workOrders.filter(wo => 
     wo.id.toLowerCase().includes(term) ||
@@ -86,49 +237,76 @@ export function filterWorkOrders(workOrders, searchTerm) {
   );
 }
 
+// Statuses for which a missed due date no longer matters
+const CLOSED_STATUSES = ['Completed', 'Cancelled'];
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Values a field may have: filters take one value or a list of them (any matches)
+ * @param {string|Array<string>} value - Filter value; undefined, 'All' and [] don't filter
+ * @returns {Set<string>|null} Allowed values, or null when the field isn't filtered
+ */
+function allowedValues(value) {
+  if (!isSet(value) || value === 'All') return null;
+  const values = Array.isArray(value) ? value : [value];
+  return values.length > 0 ? new Set(values) : null;
+}
+
 /**
  * Filter work orders by complex criteria
  * @param {Array} workOrders - Array of work orders
- * @param {Object} filters - Filter criteria object
+ * @param {Object} filters - Filter criteria object:
+ *   status, priority, department, workType, assignee - One value or a list of them;
+ *   startDate, endDate - Created on or after / on or before these instants;
+ *   dueStartDate, dueEndDate - Due on or after / on or before these instants;
+ *   minHours, maxHours - Estimated hours range, ends included;
+ *   minCompletion, maxCompletion - Completion percentage range, ends included;
+ *   overdue - Only open work orders due before asOf (default: now)
  * @returns {Array} Filtered work orders
  */
 export function filterWorkOrdersAdvanced(workOrders, filters) {
+  // Value filters, checked in this order
+  const valueFilters = ['status', 'priority', 'department', 'workType', 'assignee']
+    .map(field => [field, allowedValues(filters[field])])
+    .filter(([, allowed]) => allowed);
+
+  // Ranges, parsed once instead of per record. Unparseable ends are ignored, as before.
+  const parsed = (value) => (Number.isNaN(value) ? null : value);
+  const time = (value) => (isSet(value) ? parsed(new Date(value).getTime()) : null);
+  const number = (value) => (isSet(value) ? parsed(Number(value)) : null);
+  const rangeFilters = [
+    [(wo) => Date.parse(wo.createdDate), time(filters.startDate), time(filters.endDate)],
+    [(wo) => Date.parse(wo.dueDate), time(filters.dueStartDate), time(filters.dueEndDate)],
+    [(wo) => wo.estimatedHours, number(filters.minHours), number(filters.maxHours)],
+    [(wo) => wo.completionPercentage, number(filters.minCompletion), number(filters.maxCompletion)]
+  ].filter(([, min, max]) => min !== null || max !== null);
+
+  const asOf = filters.overdue ? time(filters.asOf) ?? Date.now() : null;
+
   return workOrders.filter(wo => {
-    // Status filter
-    if (filters.status && filters.status !== 'All' && wo.status !== filters.status) {
-      return false;
-    }
-    
-    // Priority filter
-    if (filters.priority && filters.priority !== 'All' && wo.priority !== filters.priority) {
-      return false;
-    }
-    
-    // Department filter
-    if (filters.department && filters.department !== 'All' && wo.department !== filters.department) {
-      return false;
-    }
-    
-    // Date range filter
-    if (filters.startDate) {
-      const woDate = new Date(wo.createdDate);
-      const startDate = new Date(filters.startDate);
-      if (woDate < startDate) {
+    // Status, priority, department, work type and assignee filters
+    for (const [field, allowed] of valueFilters) {
+      if (!allowed.has(wo[field])) {
         return false;
       }
     }
     
-    if (filters.endDate) {
-      const woDate = new Date(wo.createdDate);
-      const endDate = new Date(filters.endDate);
-      if (woDate > endDate) {
+    // Created date, due date, hours and completion ranges
+    for (const [valueOf, min, max] of rangeFilters) {
+      const value = valueOf(wo);
+      if ((min !== null && !(value >= min)) || (max !== null && !(value <= max))) {
         return false;
       }
     }
     
+    // Overdue: past its due date and still open
+    if (asOf !== null && (CLOSED_STATUSES.includes(wo.status) || !(Date.parse(wo.dueDate) < asOf))) {
+      return false;
+    }
+    
     return true;
   });
 }
 
-// Export constants for use in filters
 export { STATUSES, PRIORITIES, DEPARTMENTS, ASSIGNEES, WORK_TYPES };
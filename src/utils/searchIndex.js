@@ -0,0 +1,210 @@
+// Full-text search index for work orders
+// Built once after load, then kept up to date incrementally, so a keystroke only looks at
+// records that can match instead of lowercasing five fields of every record.
+
+// The fields filterWorkOrders searches
+const SEARCH_FIELDS = ['id', 'title', 'assignee', 'department', 'status'];
+
+// Field separator: trigrams never span it. A term containing it is checked field by field, see matchIds
+const SEPARATOR = '\n';
+const SEPARATOR_CODE = SEPARATOR.charCodeAt(0);
+
+/**
+ * Lowercase searchable text of a work order
+ * @param {Object} workOrder - Work order
+ * @returns {string} Normalized text
+ */
+export function searchText(workOrder) {
+  return SEARCH_FIELDS.map(field => String(workOrder[field] ?? '').toLowerCase()).join(SEPARATOR);
+}
+
+/**
+ * Call back with a numeric key for every three-character substring of a text
+ * (numbers hash faster than sliced strings and need no allocation)
+ * @param {string} text - Normalized text
+ * @param {Function} callback - Called with each key, repeats included
+ */
+function forEachTrigram(text, callback) {
+  for (let i = 0; i + 3 <= text.length; i++) {
+    const a = text.charCodeAt(i);
+    const b = text.charCodeAt(i + 1);
+    const c = text.charCodeAt(i + 2);
+    if (a !== SEPARATOR_CODE && b !== SEPARATOR_CODE && c !== SEPARATOR_CODE) {
+      callback((a * 65536 + b) * 65536 + c);
+    }
+  }
+}
+
+/**
+ * Create a trigram index over work orders. Matches are the same as filterWorkOrders:
+ * case-insensitive substring search in id, title, assignee, department and status.
+ *
+ * sync(workOrders) brings the index up to date with a list. Records are tracked by identity:
+ * new or edited objects are indexed, ones no longer in the list are dropped, the rest are kept.
+ * Dropped records stay in the posting lists until they outnumber the live ones, then the index is rebuilt.
+ *
+ * @param {Array} [workOrders] - Records to index right away
+ * @returns {{ sync: Function, search: Function, searchIndices: Function, textOf: Function, size: Function }} Index
+ */
+export function createSearchIndex(workOrders) {
+  let docs = []; // By doc id: { record, text }, null once removed
+  let positions = []; // By doc id: index of the record in the synced list
+  let postings = new Map(); // Trigram key -> { ids: Int32Array, length }, doc ids ascending
+  let docIdOf = new Map(); // Record -> doc id
+  let source = null; // List the index was last synced with
+  let removedCount = 0;
+  let ordered = true; // Doc ids ascend with list position, so matches need no sorting
+  let last = null; // { term, ids } of the previous search, for narrowing
+
+  const addDoc = (record) => {
+    const id = docs.length;
+    const text = searchText(record);
+    docs.push({ record, text });
+    docIdOf.set(record, id);
+    forEachTrigram(text, (key) => {
+      let list = postings.get(key);
+      if (!list) {
+        list = { ids: new Int32Array(8), length: 0 };
+        postings.set(key, list);
+      } else if (list.ids[list.length - 1] === id) {
+        return; // Repeated trigram in the same text
+      }
+      if (list.length === list.ids.length) {
+        const grown = new Int32Array(list.length * 2);
+        grown.set(list.ids);
+        list.ids = grown;
+      }
+      list.ids[list.length++] = id;
+    });
+    return id;
+  };
+
+  const reset = () => {
+    docs = [];
+    positions = [];
+    postings = new Map();
+    docIdOf = new Map();
+    removedCount = 0;
+    last = null;
+  };
+
+  /**
+   * Bring the index up to date with a list of work orders
+   * @param {Array} list - Current records
+   */
+  function sync(list) {
+    if (list === source) return;
+
+    // Mostly different records (a fresh download) or mostly tombstones: start over
+    const live = docs.length - removedCount;
+    const kept = list.reduce((count, record) => (docIdOf.has(record) ? count + 1 : count), 0);
+    if (kept * 2 < live || removedCount > live) reset();
+
+    const seen = new Uint8Array(docs.length);
+    let added = 0;
+    let previousId = -1;
+    ordered = true;
+    list.forEach((record, index) => {
+      let id = docIdOf.get(record);
+      if (id === undefined) {
+        id = addDoc(record);
+        added++;
+      } else {
+        seen[id] = 1;
+      }
+      positions[id] = index;
+      if (id < previousId) ordered = false;
+      previousId = id;
+    });
+
+    let removed = 0;
+    seen.forEach((wasSeen, id) => {
+      if (wasSeen || !docs[id]) return;
+      docIdOf.delete(docs[id].record);
+      docs[id] = null;
+      removed++;
+    });
+
+    removedCount += removed;
+    source = list;
+    // Cached matches are doc ids, still valid after a reorder but not after adds or removals
+    if (added > 0 || removed > 0) last = null;
+  }
+
+  // Doc ids of live records whose text contains term
+  const matchIds = (term) => {
+    let candidates;
+    if (last && term.includes(last.term)) {
+      // Narrowing: "pump" can only match records that matched "pum"
+      candidates = last.ids;
+    } else {
+      // Every match contains each trigram of the term, so its rarest trigram's list holds them all
+      const none = { ids: new Int32Array(0), length: 0 };
+      let rarest = null;
+      forEachTrigram(term, (key) => {
+        const list = postings.get(key) ?? none;
+        if (!rarest || list.length < rarest.length) rarest = list;
+      });
+      // Too short for trigrams, or every one spans the separator: check every record
+      candidates = rarest ? rarest.ids.subarray(0, rarest.length) : null;
+    }
+
+    // With the separator in the term, "safety\nin" would match across department and status
+    // in the joined text, so those terms go by the fields themselves, as filterWorkOrders does
+    const spansFields = term.includes(SEPARATOR);
+    const inSomeField = (record) => SEARCH_FIELDS.some(field => String(record[field] ?? '').toLowerCase().includes(term));
+
+    const ids = [];
+    const check = (id) => {
+      const doc = docs[id];
+      if (doc && doc.text.includes(term) && (!spansFields || inSomeField(doc.record))) ids.push(id);
+    };
+    if (candidates) candidates.forEach(check);
+    else docs.forEach((_, id) => check(id));
+
+    last = { term, ids };
+    return ids;
+  };
+
+  /**
+   * Positions in the synced list of the records matching a search term (call sync first)
+   * @param {string} searchTerm - Search term (case-insensitive)
+   * @returns {Int32Array} Ascending indexes into the list given to sync
+   */
+  function searchIndices(searchTerm) {
+    const ids = matchIds(searchTerm.toLowerCase());
+    const result = new Int32Array(ids.length);
+    ids.forEach((id, i) => {
+      result[i] = positions[id];
+    });
+    return ordered ? result : result.sort();
+  }
+
+  /**
+   * Records matching a search term, in list order
+   * @param {Array} list - Records to search; the index is synced with it first
+   * @param {string} searchTerm - Search term (case-insensitive)
+   * @returns {Array} Matching records
+   */
+  function search(list, searchTerm) {
+    sync(list);
+    if (ordered) {
+      return matchIds(searchTerm.toLowerCase()).map(id => docs[id].record);
+    }
+    return Array.from(searchIndices(searchTerm), index => list[index]);
+  }
+
+  /**
+   * Normalized text of a record, from the index when it has been synced with it
+   * @param {Object} record - Work order
+   * @returns {string} Same as searchText(record)
+   */
+  function textOf(record) {
+    const id = docIdOf.get(record);
+    return id === undefined ? searchText(record) : docs[id].text;
+  }
+
+  if (workOrders) sync(workOrders);
+
+  return { sync, search, searchIndices, textOf, size: () => docs.length - removedCount };
+}
@@ -0,0 +1,355 @@
+// Structured search queries for the work order search box, e.g.
+//   status:Blocked priority:>=High assignee:"Bob Smith" due:<2025-12-31 hours:10..20 -dept:Safety pump
+// Terms are ANDed and a leading "-" negates one. Words without a field are free text, matched the way
+// filterWorkOrders matches, and a query that is only free text goes to filterWorkOrders unchanged.
+
+import { STATUSES, PRIORITIES, DEPARTMENTS, ASSIGNEES, WORK_TYPES } from './mockData';
+import { searchText } from './searchIndex';
+
+/**
+ * Fields a query can name, with the WorkOrder property they search:
+ * text matches a substring, enum one of values (compared by position when ordered),
+ * number and date compare and take ranges. Dates are UTC days, months or years.
+ */
+export const QUERY_FIELDS = {
+  id: { key: 'id', type: 'text', example: 'id:WO-0001' },
+  title: { key: 'title', type: 'text', example: 'title:calibration' },
+  description: { key: 'description', type: 'text', example: 'description:pump' },
+  status: { key: 'status', type: 'enum', values: STATUSES, example: 'status:Blocked' },
+  priority: { key: 'priority', type: 'enum', values: PRIORITIES, ordered: true, example: 'priority:>=High' },
+  // Free text: the form accepts any name, the known ones are only suggested
+  assignee: { key: 'assignee', type: 'text', values: ASSIGNEES, example: 'assignee:"Bob Smith"' },
+  department: { key: 'department', type: 'enum', values: DEPARTMENTS, example: 'department:Safety' },
+  type: { key: 'workType', type: 'enum', values: WORK_TYPES, example: 'type:Calibration' },
+  created: { key: 'createdDate', type: 'date', example: 'created:2025-06' },
+  due: { key: 'dueDate', type: 'date', example: 'due:<2025-12-31' },
+  hours: { key: 'estimatedHours', type: 'number', example: 'hours:10..20' },
+  progress: { key: 'completionPercentage', type: 'number', example: 'progress:<50' }
+};
+
+// Other names accepted for a field (lowercase)
+const FIELD_ALIASES = {
+  dept: 'department',
+  worktype: 'type',
+  createddate: 'created',
+  duedate: 'due',
+  estimatedhours: 'hours',
+  completion: 'progress',
+  completionpercentage: 'progress'
+};
+
+const OPERATORS = ['>=', '<=', '>', '<', '='];
+const FIELD_PATTERN = /([a-z]+):/iy;
+const DATE_PATTERN = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+const NUMBER_PATTERN = /^-?\d+(?:\.\d+)?$/;
+const MAX_SUGGESTIONS = 8;
+
+// A value stands for the interval [low, high]: a number or enum value for itself, a date for every ms in it
+const COMPARISONS = {
+  '=': (value, low, high) => value >= low && value <= high,
+  '<': (value, low) => value < low,
+  '<=': (value, low, high) => value <= high,
+  '>': (value, low, high) => value > high,
+  '>=': (value, low) => value >= low
+};
+
+const isSpace = (char) => char === ' ' || char === '\t' || char === '\n';
+
+const resolveField = (name) => {
+  const lower = name.toLowerCase();
+  return QUERY_FIELDS[lower] ? lower : FIELD_ALIASES[lower] ?? null;
+};
+
+const quote = (value) => (value.includes(' ') ? `"${value}"` : value);
+
+/**
+ * Read a "quoted" or bare value
+ * @param {string} input - Query
+ * @param {number} start - Index the value starts at
+ * @returns {{ value: string, end: number, quoted: boolean, unterminated: boolean }} Value and the index after it
+ */
+function readValue(input, start) {
+  if (input[start] === '"') {
+    const close = input.indexOf('"', start + 1);
+    return close === -1
+      ? { value: input.slice(start + 1), end: input.length, quoted: true, unterminated: true }
+      : { value: input.slice(start + 1, close), end: close + 1, quoted: true, unterminated: false };
+  }
+
+  let end = start;
+  while (end < input.length && !isSpace(input[end])) end++;
+  return { value: input.slice(start, end), end, quoted: false, unterminated: false };
+}
+
+/**
+ * Split a query into its terms without interpreting them, keeping positions for errors and autocomplete
+ * @param {string} input - Query
+ * @returns {Array<Object>} { start, end, negated, field, operator, valueStart, value, quoted, unterminated }
+ */
+function scanTerms(input) {
+  const terms = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (isSpace(input[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    const negated = input[i] === '-' && i + 1 < input.length && !isSpace(input[i + 1]);
+    if (negated) i++;
+
+    let field = null;
+    let operator = null;
+    let valueStart = i;
+    FIELD_PATTERN.lastIndex = i;
+    const match = FIELD_PATTERN.exec(input);
+    if (match) {
+      field = match[1];
+      valueStart = i + match[0].length;
+      operator = OPERATORS.find(op => input.startsWith(op, valueStart)) ?? null;
+      if (operator) valueStart += operator.length;
+    }
+
+    const { value, end, quoted, unterminated } = readValue(input, valueStart);
+    terms.push({ start, end, negated, field, operator, valueStart, value, quoted, unterminated });
+    i = end;
+  }
+
+  return terms;
+}
+
+/**
+ * Interval a comparable value stands for
+ * @param {Object} field - Entry of QUERY_FIELDS
+ * @param {string} name - Field name, for error messages
+ * @param {string} raw - Value as typed
+ * @returns {{ low: number, high: number }} Interval, both ends included
+ */
+function parseBound(field, name, raw) {
+  if (field.type === 'number') {
+    if (!NUMBER_PATTERN.test(raw)) throw new Error(`${name} must be a number, got "${raw}"`);
+    return { low: Number(raw), high: Number(raw) };
+  }
+
+  if (field.type === 'date') {
+    const match = DATE_PATTERN.exec(raw);
+    const [year, month = 1, day = 1] = match ? match.slice(1).filter(Boolean).map(Number) : [];
+    const low = Date.UTC(year, month - 1, day);
+    // Date.UTC rolls 2025-02-30 over into March, so compare the parts back
+    const date = new Date(low);
+    if (!match || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      throw new Error(`${name} must be a date (YYYY-MM-DD, YYYY-MM or YYYY), got "${raw}"`);
+    }
+    const next = match[3] ? Date.UTC(year, month - 1, day + 1)
+      : match[2] ? Date.UTC(year, month, 1)
+        : Date.UTC(year + 1, 0, 1);
+    return { low, high: next - 1 };
+  }
+
+  const index = field.values.findIndex(value => value.toLowerCase() === raw.toLowerCase());
+  if (index === -1) {
+    throw new Error(`Unknown ${name} "${raw}", expected one of ${field.values.join(', ')}`);
+  }
+  return { low: index, high: index };
+}
+
+/**
+ * Build the AST node for a field term
+ * @param {Object} term - Term from scanTerms
+ * @returns {Object} match, compare or range node
+ */
+function parseCondition({ field: typedName, operator, value, quoted }) {
+  const name = resolveField(typedName);
+  if (!name) {
+    throw new Error(`Unknown field "${typedName}", expected one of ${Object.keys(QUERY_FIELDS).join(', ')}`);
+  }
+  if (value === '') throw new Error(`Missing value for ${name}`);
+
+  const field = QUERY_FIELDS[name];
+  const comparable = field.type === 'number' || field.type === 'date' || Boolean(field.ordered);
+  const base = { field: name, key: field.key };
+
+  const rangeAt = !quoted && !operator ? value.indexOf('..') : -1;
+  if (rangeAt !== -1) {
+    if (!comparable) throw new Error(`${name} can't be searched by range`);
+    const from = value.slice(0, rangeAt);
+    const to = value.slice(rangeAt + 2);
+    if (!from && !to) throw new Error(`Range for ${name} needs at least one end`);
+    return {
+      type: 'range',
+      ...base,
+      from,
+      to,
+      low: from ? parseBound(field, name, from).low : -Infinity,
+      high: to ? parseBound(field, name, to).high : Infinity
+    };
+  }
+
+  if (field.type === 'text') {
+    if (operator) throw new Error(`${name} can't be compared with "${operator}"`);
+    return { type: 'match', ...base, value };
+  }
+
+  if (operator && operator !== '=' && !comparable) {
+    throw new Error(`${name} can't be compared with "${operator}"`);
+  }
+  return { type: 'compare', ...base, operator: operator ?? '=', value, ...parseBound(field, name, value) };
+}
+
+/**
+ * Parse a search query into an AST. Terms with errors are left out of the AST, so the rest of
+ * the query still applies while the user is typing.
+ * @param {string} [input] - Query as typed
+ * @returns {{ ast: Object, errors: Array<{ message: string, start: number, end: number }> }}
+ *   ast is { type: 'and', terms } of text, match, compare, range and not nodes
+ */
+export function parseSearchQuery(input = '') {
+  const terms = [];
+  const errors = [];
+  let structured = false;
+
+  scanTerms(input).forEach(term => {
+    const { start, end } = term;
+    if (term.negated || term.field !== null || term.quoted) structured = true;
+
+    try {
+      if (term.unterminated) throw new Error('Missing closing quote');
+      const node = term.field === null
+        ? { type: 'text', value: term.value, start, end }
+        : { ...parseCondition(term), start, end };
+      terms.push(term.negated ? { type: 'not', term: node, start, end } : node);
+    } catch (error) {
+      errors.push({ message: error.message, start, end });
+    }
+  });
+
+  // Plain text keeps its old meaning: one substring, spaces included
+  if (!structured) {
+    return {
+      ast: { type: 'and', terms: input.trim() ? [{ type: 'text', value: input, start: 0, end: input.length }] : [] },
+      errors
+    };
+  }
+
+  return { ast: { type: 'and', terms }, errors };
+}
+
+// Comparable value of a work order field (NaN when it can't be compared, which fails every comparison)
+function fieldValue(name) {
+  const { key, type, values } = QUERY_FIELDS[name];
+  if (type === 'date') return (workOrder) => Date.parse(workOrder[key]);
+  if (type === 'number') return (workOrder) => Number(workOrder[key]);
+  return (workOrder) => {
+    const index = values.indexOf(workOrder[key]);
+    return index === -1 ? NaN : index;
+  };
+}
+
+/**
+ * Turn an AST from parseSearchQuery into a predicate
+ * @param {Object} node - AST node
+ * @returns {Function} (workOrder) => boolean
+ */
+export function compileSearchQuery(node) {
+  switch (node.type) {
+    case 'and': {
+      const terms = node.terms.map(compileSearchQuery);
+      return (workOrder) => terms.every(matches => matches(workOrder));
+    }
+    case 'not': {
+      const matches = compileSearchQuery(node.term);
+      return (workOrder) => !matches(workOrder);
+    }
+    case 'text': {
+      const term = node.value.toLowerCase();
+      return (workOrder) => searchText(workOrder).includes(term);
+    }
+    case 'match': {
+      const term = node.value.toLowerCase();
+      return (workOrder) => String(workOrder[node.key] ?? '').toLowerCase().includes(term);
+    }
+    case 'compare': {
+      const valueOf = fieldValue(node.field);
+      const compare = COMPARISONS[node.operator];
+      return (workOrder) => compare(valueOf(workOrder), node.low, node.high);
+    }
+    case 'range': {
+      const valueOf = fieldValue(node.field);
+      return (workOrder) => {
+        const value = valueOf(workOrder);
+        return value >= node.low && value <= node.high;
+      };
+    }
+    default:
+      throw new Error(`Unknown search query node "${node.type}"`);
+  }
+}
+
+/**
+ * Parse a query and split it for filtering: the first free-text term can be answered by
+ * filterWorkOrders (and its search index) over the whole list, a predicate checks the rest.
+ * @param {string} [input] - Query as typed
+ * @returns {{ text: string, matches: Function|null, errors: Array }} text is '' when there is none,
+ *   matches is null when there is nothing else to check
+ */
+export function prepareSearchQuery(input) {
+  const { ast, errors } = parseSearchQuery(input);
+  const textAt = ast.terms.findIndex(term => term.type === 'text');
+  const rest = ast.terms.filter((_, i) => i !== textAt);
+
+  return {
+    text: textAt === -1 ? '' : ast.terms[textAt].value,
+    matches: rest.length > 0 ? compileSearchQuery({ type: 'and', terms: rest }) : null,
+    errors
+  };
+}
+
+/**
+ * Autocomplete for the term at the cursor: field names while typing a word, known values after "field:"
+ * @param {string} input - Query as typed
+ * @param {number} [cursor] - Caret position
+ * @returns {{ start: number, end: number, items: Array<{ label: string, value: string, detail: string }> }|null}
+ *   Replacing input.slice(start, end) with an item's value applies it; null when there is nothing to suggest
+ */
+export function suggestSearchQuery(input, cursor = input.length) {
+  const term = scanTerms(input).find(({ start, end }) => start <= cursor && cursor <= end);
+  if (!term) return null;
+
+  if (term.field === null) {
+    if (term.quoted) return null;
+    const nameStart = term.negated ? term.start + 1 : term.start;
+    const prefix = input.slice(nameStart, cursor).toLowerCase();
+    if (!/^[a-z]+$/.test(prefix)) return null;
+
+    const items = Object.entries(QUERY_FIELDS)
+      .filter(([name]) => name.startsWith(prefix))
+      .map(([name, field]) => ({ label: `${name}:`, value: `${name}:`, detail: field.example }));
+    return items.length > 0 ? { start: nameStart, end: term.end, items } : null;
+  }
+
+  const name = resolveField(term.field);
+  const values = name && QUERY_FIELDS[name].values;
+  if (!values || cursor < term.valueStart) return null;
+
+  const prefix = input.slice(term.valueStart, cursor).replace(/^"/, '').toLowerCase();
+  const typed = input.slice(term.valueStart, term.end);
+  const items = values
+    .filter(value => value.toLowerCase().split(' ').some((_, i, words) => words.slice(i).join(' ').startsWith(prefix)))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(value => ({ label: value, value: quote(value), detail: name }));
+
+  // Nothing left to complete once the value is typed out in full
+  if (items.length === 0 || (items.length === 1 && items[0].value.toLowerCase() === typed.toLowerCase())) return null;
+  return { start: term.valueStart, end: term.end, items };
+}
+
+/**
+ * Free-text terms of a query, for highlighting matches (negated terms are left out, they match nothing shown)
+ * @param {string} [input] - Query as typed
+ * @returns {Array<string>} Terms
+ */
+export function searchTextTerms(input) {
+  return parseSearchQuery(input).ast.terms.filter(term => term.type === 'text').map(term => term.value);
+}
@@ -0,0 +1,231 @@
+// Work order query parameters shared by the API client and the local stand-in server
+// The same function answers a query on the server and on the mock fallback in the browser.
+
+import { filterWorkOrders, filterWorkOrdersAdvanced, PRIORITIES } from './mockData';
+import { prepareSearchQuery } from './searchQuery';
+import { fuzzyFilterWorkOrders, createRelevanceComparator } from './fuzzySearch';
+
+export const SORTABLE_FIELDS = [
+  'id', 'title', 'status', 'priority', 'assignee', 'department',
+  'createdDate', 'dueDate', 'estimatedHours', 'completionPercentage'
+];
+
+export const MAX_PAGE_SIZE = 1000;
+
+// Streaming format: one JSON work order per line, total in the X-Total-Count header
+export const NDJSON_CONTENT_TYPE = 'application/x-ndjson';
+
+// Priority sorts by severity, not alphabetically
+const fieldRank = {
+  priority: (value) => PRIORITIES.indexOf(value)
+};
+
+/**
+ * Encode a pagination position as an opaque cursor
+ * @param {number} offset - Index of the first record of the next page
+ * @returns {string} Cursor
+ */
+export function encodeCursor(offset) {
+  return btoa(JSON.stringify({ offset }));
+}
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {number} Offset it points to
+ */
+export function decodeCursor(cursor) {
+  let offset;
+  try {
+    ({ offset } = JSON.parse(atob(cursor)));
+  } catch {
+    // Not base64 JSON, reported below
+  }
+  if (!Number.isInteger(offset) || offset < 0) throw new Error(`Invalid cursor: ${cursor}`);
+  return offset;
+}
+
+/**
+ * Parse a sort expression such as "-priority,createdDate"
+ * @param {string} sort - Comma separated fields, "-" prefix for descending
+ * @returns {Array<{ field: string, direction: number }>} Sort keys
+ */
+export function parseSort(sort) {
+  if (!sort) return [];
+
+  return sort.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const descending = part.startsWith('-');
+    const field = descending ? part.slice(1) : part;
+    if (!SORTABLE_FIELDS.includes(field)) {
+      throw new Error(`Cannot sort by "${field}"`);
+    }
+    return { field, direction: descending ? -1 : 1 };
+  });
+}
+
+/**
+ * Build a comparator for a sort expression
+ * @param {string} sort - Sort expression, see parseSort
+ * @returns {Function|null} (a, b) => number for two work orders, or null when there is nothing to sort by
+ */
+export function createComparator(sort) {
+  const keys = parseSort(sort);
+  if (keys.length === 0) return null;
+
+  return (a, b) => {
+    for (const { field, direction } of keys) {
+      const rank = fieldRank[field];
+      const left = rank ? rank(a[field]) : a[field];
+      const right = rank ? rank(b[field]) : b[field];
+      if (left < right) return -direction;
+      if (left > right) return direction;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Build the comparator for a query's results: its sort, or relevance to the search text
+ * in fuzzy mode when no sort is given
+ * @param {Object} query - Query object, see toSearchParams
+ * @param {Object} [options] - { fuzzy, textOf }: see matchWorkOrders and createRelevanceComparator
+ * @returns {Function|null} Comparator, or null when the results keep their order
+ */
+export function createQueryComparator(query = {}, { fuzzy = false, textOf } = {}) {
+  if (fuzzy && !query.sort) {
+    const { text } = prepareSearchQuery(query.q);
+    if (text.trim() !== '') return createRelevanceComparator(text, textOf);
+  }
+  return createComparator(query.sort);
+}
+
+/**
+ * Sort work orders without mutating the input
+ * @param {Array} workOrders - Array of work orders
+ * @param {string} sort - Sort expression, see parseSort
+ * @returns {Array} Sorted copy (or the input when there is nothing to sort by)
+ */
+export function sortWorkOrders(workOrders, sort) {
+  const compare = createComparator(sort);
+  return compare ? [...workOrders].sort(compare) : workOrders;
+}
+
+/**
+ * Turn a query object into URL search params, skipping empty values.
+ * Lists (multi-select filters) are sent comma-separated.
+ * @param {Object} query - { q, status, priority, department, workType, assignee, createdFrom, createdTo,
+ *   dueFrom, dueTo, minHours, maxHours, minCompletion, maxCompletion, overdue, asOf, sort, limit, offset, cursor }
+ * @returns {URLSearchParams} Search params
+ */
+export function toSearchParams(query = {}) {
+  const params = new URLSearchParams();
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      if (value.length > 0) params.set(key, value.join(','));
+    } else if (value !== undefined && value !== null && value !== '' && value !== 'All' && value !== false) {
+      params.set(key, String(value));
+    }
+  });
+
+  return params;
+}
+
+/**
+ * Read a query object back from URL search params
+ * @param {URLSearchParams} params - Search params of the request
+ * @returns {Object} Query object
+ */
+export function fromSearchParams(params) {
+  const number = (key) => (params.has(key) ? Number(params.get(key)) : undefined);
+  const list = (key) => (params.has(key) ? params.get(key).split(',') : undefined);
+
+  return {
+    q: params.get('q') ?? undefined,
+    status: list('status'),
+    priority: list('priority'),
+    department: list('department'),
+    workType: list('workType'),
+    assignee: list('assignee'),
+    createdFrom: params.get('createdFrom') ?? undefined,
+    createdTo: params.get('createdTo') ?? undefined,
+    dueFrom: params.get('dueFrom') ?? undefined,
+    dueTo: params.get('dueTo') ?? undefined,
+    minHours: number('minHours'),
+    maxHours: number('maxHours'),
+    minCompletion: number('minCompletion'),
+    maxCompletion: number('maxCompletion'),
+    overdue: params.has('overdue') ? params.get('overdue') === 'true' : undefined,
+    asOf: params.get('asOf') ?? undefined,
+    sort: params.get('sort') ?? undefined,
+    limit: number('limit'),
+    offset: number('offset'),
+    cursor: params.get('cursor') ?? undefined
+  };
+}
+
+/**
+ * Check whether a query asks for a single page instead of the whole collection
+ * @param {Object} query - Query object
+ * @returns {boolean} True when limit or cursor is set
+ */
+export function isPaginated(query = {}) {
+  return query.limit !== undefined || query.cursor !== undefined;
+}
+
+/**
+ * Filter work orders by the q and filter fields of a query
+ * @param {Array} workOrders - Work orders
+ * @param {Object} query - Query object, see toSearchParams (sort and pagination are ignored).
+ *   q is a search query, see utils/searchQuery; terms with errors are skipped
+ * @param {Object} [options] - { index, fuzzy }: search index for q's free text, see filterWorkOrders;
+ *   fuzzy allows typos in the free text, see fuzzyFilterWorkOrders
+ * @returns {Array} Matching work orders, in their original order
+ */
+export function matchWorkOrders(workOrders, query = {}, options = {}) {
+  const search = prepareSearchQuery(query.q);
+  const matched = options.fuzzy
+    ? fuzzyFilterWorkOrders(workOrders, search.text, options)
+    : filterWorkOrders(workOrders, search.text, options);
+  return filterWorkOrdersAdvanced(search.matches ? matched.filter(search.matches) : matched, {
+    status: query.status,
+    priority: query.priority,
+    department: query.department,
+    workType: query.workType,
+    assignee: query.assignee,
+    startDate: query.createdFrom,
+    endDate: query.createdTo,
+    dueStartDate: query.dueFrom,
+    dueEndDate: query.dueTo,
+    minHours: query.minHours,
+    maxHours: query.maxHours,
+    minCompletion: query.minCompletion,
+    maxCompletion: query.maxCompletion,
+    overdue: query.overdue,
+    asOf: query.asOf
+  });
+}
+
+/**
+ * Filter, sort and paginate work orders
+ * @param {Array} workOrders - Full collection
+ * @param {Object} query - Query object, see toSearchParams
+ * @returns {{ items: Array, total: number, offset: number, limit: number, nextCursor: string|null }} Page
+ */
+export function queryWorkOrders(workOrders, query = {}) {
+  const results = sortWorkOrders(matchWorkOrders(workOrders, query), query.sort);
+
+  const total = results.length;
+  const offset = query.cursor !== undefined ? decodeCursor(query.cursor) : Math.max(0, query.offset ?? 0);
+  const limit = query.limit !== undefined ? Math.min(Math.max(1, query.limit), MAX_PAGE_SIZE) : total;
+  const items = results.slice(offset, offset + limit);
+  const nextOffset = offset + items.length;
+
+  return {
+    items,
+    total,
+    offset,
+    limit,
+    nextCursor: nextOffset < total ? encodeCursor(nextOffset) : null
+  };
+}
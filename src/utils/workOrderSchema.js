@@ -0,0 +1,154 @@
+// Runtime validation of API payloads and work order edits, driven by the schemas in src/openapi.json
+// Invalid records are quarantined instead of reaching the table, where they would crash a row.
+
+import openapi from '../openapi.json';
+import { STATUSES, PRIORITIES, DEPARTMENTS } from './mockData';
+
+export const WORK_ORDER_SCHEMA = openapi.components.schemas.WorkOrder;
+
+// Writes are held to the app's own vocabularies; reads stay as lenient as the spec
+const withEnums = (schema) => ({
+  ...schema,
+  properties: {
+    ...schema.properties,
+    status: { ...schema.properties.status, enum: STATUSES },
+    priority: { ...schema.properties.priority, enum: PRIORITIES },
+    department: { ...schema.properties.department, enum: DEPARTMENTS }
+  }
+});
+
+export const WORK_ORDER_INPUT_SCHEMA = withEnums(openapi.components.schemas.WorkOrderInput);
+export const WORK_ORDER_PATCH_SCHEMA = withEnums(openapi.components.schemas.WorkOrderPatch);
+
+// JSON Schema type checks for the types the spec uses
+const typeChecks = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+const article = (type) => (/^[aeiou]/.test(type) ? 'an' : 'a');
+
+/**
+ * Normalize a date-time value to an ISO 8601 string
+ * @param {*} value - Date string or epoch milliseconds
+ * @returns {string|null} ISO string, or null when the value is not a date
+ */
+export function normalizeDateTime(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Validate one record against an object schema
+ * @param {Object} record - Record to check
+ * @param {Object} [schema=WORK_ORDER_SCHEMA] - Object schema with required and properties
+ * @returns {{ value: Object|null, errors: Array<{ field: string, message: string }> }}
+ *   Normalized record (same object when nothing needed normalizing), or null when invalid
+ */
+export function validateRecord(record, schema = WORK_ORDER_SCHEMA) {
+  if (!typeChecks.object(record)) {
+    return { value: null, errors: [{ field: '', message: 'not an object' }] };
+  }
+
+  const errors = [];
+  let value = record;
+
+  if (schema.minProperties && Object.keys(record).length < schema.minProperties) {
+    errors.push({ field: '', message: `needs at least ${schema.minProperties} field(s)` });
+  }
+
+  (schema.required ?? []).forEach(field => {
+    if (record[field] === undefined || (record[field] === null && !schema.properties?.[field]?.nullable)) {
+      errors.push({ field, message: `missing ${field}` });
+    }
+  });
+
+  Object.entries(schema.properties ?? {}).forEach(([field, property]) => {
+    const fieldValue = record[field];
+    if (fieldValue === undefined || fieldValue === null) return; // Reported above when required
+
+    // date-time fields accept anything Date can parse and are stored as ISO strings
+    if (property.format === 'date-time') {
+      const normalized = normalizeDateTime(fieldValue);
+      if (normalized === null) {
+        errors.push({ field, message: `invalid ${field}` });
+      } else if (normalized !== fieldValue) {
+        value = value === record ? { ...record } : value;
+        value[field] = normalized;
+      }
+      return;
+    }
+
+    if (property.type && !typeChecks[property.type]?.(fieldValue)) {
+      errors.push({ field, message: `${field} is not ${article(property.type)} ${property.type}` });
+    } else if (property.enum && !property.enum.includes(fieldValue)) {
+      errors.push({ field, message: `unknown ${field} "${fieldValue}"` });
+    } else if (property.minLength !== undefined && fieldValue.trim().length < property.minLength) {
+      errors.push({ field, message: `${field} is required` });
+    } else if (property.minimum !== undefined && fieldValue < property.minimum) {
+      errors.push({ field, message: `${field} must be at least ${property.minimum}` });
+    } else if (property.maximum !== undefined && fieldValue > property.maximum) {
+      errors.push({ field, message: `${field} must be at most ${property.maximum}` });
+    }
+  });
+
+  return errors.length > 0 ? { value: null, errors } : { value, errors };
+}
+
+/**
+ * Field errors keyed by field name, for showing next to form inputs
+ * @param {Array<{ field: string, message: string }>} errors - From validateRecord
+ * @returns {Object} { [field]: message } (first error per field)
+ */
+export function errorsByField(errors) {
+  return errors.reduce((byField, { field, message }) => (
+    field in byField ? byField : { ...byField, [field]: message }
+  ), {});
+}
+
+/**
+ * Split API records into valid (normalized) rows and quarantined ones
+ * @param {Array} records - Records as received
+ * @param {Object} [schema=WORK_ORDER_SCHEMA] - Record schema
+ * @returns {{ valid: Array, rejected: Array<{ index: number, id: *, record: *, errors: Array }> }} Result
+ */
+export function validateWorkOrders(records, schema = WORK_ORDER_SCHEMA) {
+  const valid = [];
+  const rejected = [];
+
+  records.forEach((record, index) => {
+    const { value, errors } = validateRecord(record, schema);
+    if (value) {
+      valid.push(value);
+    } else {
+      rejected.push({ index, id: record?.id ?? null, record, errors });
+    }
+  });
+
+  return { valid, rejected };
+}
+
+/**
+ * Count rejected records by reason, most common first
+ * @param {Array} rejected - Rejected entries from validateWorkOrders
+ * @returns {Array<{ message: string, count: number }>} Reasons
+ */
+export function summarizeRejections(rejected) {
+  const counts = new Map();
+
+  rejected.forEach(({ errors }) => {
+    new Set(errors.map(error => error.message)).forEach(message => {
+      counts.set(message, (counts.get(message) ?? 0) + 1);
+    });
+  });
+
+  return [...counts.entries()]
+    .map(([message, count]) => ({ message, count }))
+    .sort((a, b) => b.count - a.count);
+}
@@ -0,0 +1,118 @@
+/**
+ * Work Order Filter Worker
+ * Keeps a copy of the dataset and filters it off the main thread (see hooks/useFilterWorker).
+ * Results are index arrays into the dataset, sent as transferable buffers. The search term is
+ * answered by a search index (utils/searchIndex) kept up to date with the dataset.
+ *
+ * Messages in:
+ *   { type: 'splice', version, start, deleteCount, items } - Bring the dataset up to date
+ *   { type: 'filter', id, query, options } - Filter and sort; a newer query cancels this one.
+ *     options: { fuzzy } - Allow typos in the free text and rank by relevance, see matchWorkOrders
+ *   { type: 'cancel', id } - Stop filtering for a query
+ * Messages out:
+ *   { type: 'result', id, version, indices: ArrayBuffer, filterTime }
+ *   { type: 'cancelled', id } - Cancelled, replaced by a newer query or the dataset changed mid-way
+ *   { type: 'error', id, message } - The query could not run
+ */
+
+import { matchWorkOrders, createQueryComparator } from '../utils/workOrderQuery';
+import { createSearchIndex } from '../utils/searchIndex';
+import { prepareSearchQuery } from '../utils/searchQuery';
+
+const CHUNK_SIZE = 5000; // Records filtered between checks for cancellation
+
+let rows = [];
+let version = 0;
+let activeId = null; // Query being filtered; anything else stops at its next chunk
+const searchIndex = createSearchIndex();
+let indexTimer = null;
+
+// Lets queued messages (cancel, newer queries, dataset changes) run between chunks
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Index new rows once the queued splices are applied, so the first query doesn't pay for it
+function scheduleIndexSync() {
+  clearTimeout(indexTimer);
+  indexTimer = setTimeout(() => searchIndex.sync(rows), 0);
+}
+
+/**
+ * Filter the dataset in chunks, stopping early if the query is cancelled
+ * @param {number} id - Request id
+ * @param {Object} query - { q, status, priority, department, createdFrom, createdTo, sort }
+ * @param {Object} [options] - { fuzzy }
+ */
+async function filter(id, query, { fuzzy = false } = {}) {
+  activeId = id;
+  const startVersion = version;
+  const startTime = performance.now();
+  const matches = [];
+
+  // Exact free text is answered by the index; the rest of the search and the other filters only run over its matches.
+  // Text with typos allowed can't be looked up by trigram, so then every record is checked.
+  const search = prepareSearchQuery(query.q);
+  let candidates = null;
+  if (!fuzzy && search.text.trim() !== '') {
+    searchIndex.sync(rows);
+    candidates = searchIndex.searchIndices(search.text);
+  }
+  const rest = { ...query, q: '' };
+  const matchChunk = candidates
+    ? (chunk) => {
+      const matched = matchWorkOrders(chunk, rest);
+      return search.matches ? matched.filter(search.matches) : matched;
+    }
+    : (chunk) => matchWorkOrders(chunk, query, { fuzzy });
+  const total = candidates ? candidates.length : rows.length;
+
+  for (let start = 0; start < total; start += CHUNK_SIZE) {
+    if (start > 0) {
+      await nextTask();
+      if (activeId !== id || version !== startVersion) {
+        self.postMessage({ type: 'cancelled', id });
+        return;
+      }
+    }
+
+    // matchWorkOrders keeps the chunk's order, so one pass recovers the indices
+    const chunkIndices = candidates?.subarray(start, start + CHUNK_SIZE);
+    const chunk = chunkIndices
+      ? Array.from(chunkIndices, i => rows[i])
+      : rows.slice(start, start + CHUNK_SIZE);
+    let position = 0;
+    matchChunk(chunk).forEach(workOrder => {
+      while (chunk[position] !== workOrder) position++;
+      matches.push(chunkIndices ? chunkIndices[position] : start + position);
+    });
+  }
+
+  const indices = Int32Array.from(matches);
+  const compare = createQueryComparator(query, { fuzzy, textOf: searchIndex.textOf });
+  if (compare) indices.sort((a, b) => compare(rows[a], rows[b]));
+
+  activeId = null;
+  self.postMessage(
+    { type: 'result', id, version, indices: indices.buffer, filterTime: performance.now() - startTime },
+    [indices.buffer]
+  );
+}
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'splice':
+      rows = [...rows.slice(0, data.start), ...data.items, ...rows.slice(data.start + data.deleteCount)];
+      version = data.version;
+      scheduleIndexSync();
+      break;
+    case 'filter':
+      filter(data.id, data.query, data.options).catch(error => {
+        // Usually an invalid sort expression
+        activeId = null;
+        self.postMessage({ type: 'error', id: data.id, message: error.message });
+      });
+      break;
+    case 'cancel':
+      if (activeId === data.id) activeId = null;
+      break;
+  }
+};
@@ -0,0 +1,79 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { request, resetCircuitBreakers, CircuitOpenError, HttpError } from '../src/services/request.js';
+
+const realFetch = globalThis.fetch;
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Answers with the given statuses in turn, counting calls
+function stubFetch(...statuses) {
+  const stub = { calls: 0 };
+  globalThis.fetch = async () => {
+    const status = statuses[Math.min(stub.calls++, statuses.length - 1)];
+    return new Response(status === 204 ? null : '{}', { status });
+  };
+  return stub;
+}
+
+const breaker = { threshold: 2, cooldown: 20 };
+const once = { retries: 0, circuitBreaker: breaker };
+
+async function openCircuit(url) {
+  for (let i = 0; i < breaker.threshold; i++) {
+    await assert.rejects(request(url, once), HttpError);
+  }
+  await assert.rejects(request(url, once), CircuitOpenError);
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  resetCircuitBreakers();
+});
+
+test('opens after consecutive 5xx and closes when the trial request succeeds', async () => {
+  const url = 'http://breaker.test/ok';
+  const stub = stubFetch(503, 503, 204);
+  await openCircuit(url);
+  assert.equal(stub.calls, 2);
+
+  await wait(breaker.cooldown + 5);
+  assert.equal((await request(url, once)).status, 204);
+  assert.equal((await request(url, once)).status, 204);
+});
+
+test('a 4xx answer to the trial request closes the circuit', async () => {
+  const url = 'http://breaker.test/not-found';
+  stubFetch(503, 503, 404, 204);
+  await openCircuit(url);
+
+  await wait(breaker.cooldown + 5);
+  await assert.rejects(request(url, once), (error) => error instanceof HttpError && error.status === 404);
+  assert.equal((await request(url, once)).status, 204);
+});
+
+test('4xx answers reset the failure count', async () => {
+  const url = 'http://breaker.test/mixed';
+  stubFetch(503, 400, 503, 204);
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(request(url, once), HttpError);
+  }
+  assert.equal((await request(url, once)).status, 204);
+});
+
+test('aborting the trial request frees it for the next caller', async () => {
+  const url = 'http://breaker.test/abort';
+  stubFetch(503, 503);
+  await openCircuit(url);
+
+  await wait(breaker.cooldown + 5);
+  const controller = new AbortController();
+  globalThis.fetch = (_, { signal }) => new Promise((_resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason));
+  });
+  const trial = request(url, { ...once, signal: controller.signal });
+  controller.abort(new Error('cancelled'));
+  await assert.rejects(trial, /cancelled/);
+
+  stubFetch(204);
+  assert.equal((await request(url, once)).status, 204);
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchQuery, prepareSearchQuery, suggestSearchQuery, searchTextTerms } from '../src/utils/searchQuery.js';
+import { matchWorkOrders } from '../src/utils/workOrderQuery.js';
+
+const workOrder = (fields) => ({
+  id: 'WO-0001',
+  title: 'Pump calibration',
+  status: 'Open',
+  priority: 'Medium',
+  department: 'Operations',
+  assignee: 'Bob Smith',
+  createdDate: '2025-06-10T08:00:00.000Z',
+  dueDate: '2025-07-01T08:00:00.000Z',
+  estimatedHours: 12,
+  completionPercentage: 40,
+  ...fields
+});
+
+// Ids of the work orders a search query matches, filtered the way the Work Orders page does
+const matching = (q, workOrders) => matchWorkOrders(workOrders, { q }).map(wo => wo.id);
+
+test('plain text stays one substring, spaces included', () => {
+  const { ast, errors } = parseSearchQuery('pump calibration');
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(ast.terms, [{ type: 'text', value: 'pump calibration', start: 0, end: 16 }]);
+  assert.deepEqual(parseSearchQuery('   ').ast.terms, []);
+});
+
+test('fields, aliases, quotes and operators become typed nodes', () => {
+  const { ast, errors } = parseSearchQuery('status:blocked assignee:"Bob Smith" dept:Safety priority:>=High pump');
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(ast.terms.map(({ type, field, operator, value }) => ({ type, field, operator, value })), [
+    { type: 'compare', field: 'status', operator: '=', value: 'blocked' },
+    { type: 'match', field: 'assignee', operator: undefined, value: 'Bob Smith' },
+    { type: 'compare', field: 'department', operator: '=', value: 'Safety' },
+    { type: 'compare', field: 'priority', operator: '>=', value: 'High' },
+    { type: 'text', field: undefined, operator: undefined, value: 'pump' }
+  ]);
+});
+
+test('ordered enums, numbers and dates compare by value', () => {
+  const rows = [
+    workOrder({ id: 'A', priority: 'Low', estimatedHours: 4, dueDate: '2025-06-30T23:59:59.999Z' }),
+    workOrder({ id: 'B', priority: 'High', estimatedHours: 10, dueDate: '2025-07-01T00:00:00.000Z' }),
+    workOrder({ id: 'C', priority: 'Critical', estimatedHours: 20.5, dueDate: '2026-01-01T00:00:00.000Z' })
+  ];
+
+  assert.deepEqual(matching('priority:>=High', rows), ['B', 'C']);
+  assert.deepEqual(matching('priority:<High', rows), ['A']);
+  assert.deepEqual(matching('hours:>10', rows), ['C']);
+  assert.deepEqual(matching('hours:<=10', rows), ['A', 'B']);
+  // A date stands for its whole day, month or year
+  assert.deepEqual(matching('due:2025-07', rows), ['B']);
+  assert.deepEqual(matching('due:<2025-07', rows), ['A']);
+  assert.deepEqual(matching('due:>2025', rows), ['C']);
+});
+
+test('ranges include both ends and may be open on one side', () => {
+  const rows = [
+    workOrder({ id: 'A', estimatedHours: 9, createdDate: '2024-12-31T23:00:00.000Z' }),
+    workOrder({ id: 'B', estimatedHours: 10, createdDate: '2025-01-01T00:00:00.000Z' }),
+    workOrder({ id: 'C', estimatedHours: 20, createdDate: '2025-03-31T23:59:59.999Z' }),
+    workOrder({ id: 'D', estimatedHours: 21, createdDate: '2025-04-01T00:00:00.000Z' })
+  ];
+
+  assert.deepEqual(matching('hours:10..20', rows), ['B', 'C']);
+  assert.deepEqual(matching('hours:..9', rows), ['A']);
+  assert.deepEqual(matching('hours:21..', rows), ['D']);
+  assert.deepEqual(matching('created:2025-01..2025-03', rows), ['B', 'C']);
+  assert.deepEqual(matching('priority:Medium..High', rows), ['A', 'B', 'C', 'D']);
+});
+
+test('a leading "-" negates one term', () => {
+  const rows = [
+    workOrder({ id: 'A', department: 'Safety', title: 'Pump check' }),
+    workOrder({ id: 'B', department: 'Quality', title: 'Pump repair' }),
+    workOrder({ id: 'C', department: 'Quality', title: 'Valve repair' })
+  ];
+
+  assert.deepEqual(matching('-dept:Safety', rows), ['B', 'C']);
+  assert.deepEqual(matching('-valve dept:quality', rows), ['B']);
+  assert.equal(parseSearchQuery('-dept:Safety').ast.terms[0].type, 'not');
+  // A lone "-" is just text
+  assert.deepEqual(parseSearchQuery('- x').ast.terms, [{ type: 'text', value: '- x', start: 0, end: 3 }]);
+});
+
+test('errors name the problem and point at the term, and the rest of the query still applies', () => {
+  const input = 'status:Done hours:>ten pump colour:red due:2025-02-30 title:<x hours:.. dept:"Safety';
+  const { ast, errors } = parseSearchQuery(input);
+
+  assert.deepEqual(errors.map(({ message, start, end }) => [message, input.slice(start, end)]), [
+    ['Unknown status "Done", expected one of Open, In Progress, Pending Review, Completed, Blocked, Cancelled', 'status:Done'],
+    ['hours must be a number, got "ten"', 'hours:>ten'],
+    ['Unknown field "colour", expected one of id, title, description, status, priority, assignee, department, type, created, due, hours, progress', 'colour:red'],
+    ['due must be a date (YYYY-MM-DD, YYYY-MM or YYYY), got "2025-02-30"', 'due:2025-02-30'],
+    ['title can\'t be compared with "<"', 'title:<x'],
+    ['Range for hours needs at least one end', 'hours:..'],
+    ['Missing closing quote', 'dept:"Safety']
+  ]);
+  assert.deepEqual(ast.terms.map(term => term.value), ['pump']);
+  assert.deepEqual(parseSearchQuery('status:').errors.map(error => error.message), ['Missing value for status']);
+  assert.deepEqual(parseSearchQuery('status:Open..Blocked').errors.map(error => error.message), ['status can\'t be searched by range']);
+});
+
+test('free text is split from the structured terms for filtering and highlighting', () => {
+  const { text, matches, errors } = prepareSearchQuery('pump status:Open -valve');
+
+  assert.equal(text, 'pump');
+  assert.deepEqual(errors, []);
+  assert.equal(matches(workOrder({ status: 'Open', title: 'Pump' })), true);
+  assert.equal(matches(workOrder({ status: 'Open', title: 'Pump valve' })), false);
+  assert.deepEqual(prepareSearchQuery('pump'), { text: 'pump', matches: null, errors: [] });
+  assert.deepEqual(searchTextTerms('pump -valve "Bob Smith" status:Open'), ['pump', 'Bob Smith']);
+});
+
+test('suggestions complete field names, then known values, and stop once a value is typed out', () => {
+  assert.deepEqual(suggestSearchQuery('pri'), {
+    start: 0,
+    end: 3,
+    items: [{ label: 'priority:', value: 'priority:', detail: 'priority:>=High' }]
+  });
+  assert.equal(suggestSearchQuery('x -st').start, 3);
+
+  const values = suggestSearchQuery('pump assignee:smi');
+  assert.deepEqual(values, {
+    start: 14,
+    end: 17,
+    items: [{ label: 'Bob Smith', value: '"Bob Smith"', detail: 'assignee' }]
+  });
+  assert.equal(suggestSearchQuery('status:Blocked'), null);
+  assert.equal(suggestSearchQuery('hours:1'), null);
+  assert.equal(suggestSearchQuery('zzz'), null);
+  // The term at the caret, not the last one
+  assert.deepEqual(suggestSearchQuery('status:c pump', 8).items.map(item => item.label), ['Completed', 'Cancelled']);
+});
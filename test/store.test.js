@@ -0,0 +1,73 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStore, withHistory } from '../src/store.js';
+import { getMutationReports, clearMutationReports, toRaw } from '../src/mutationCheck.js';
+
+const reducer = (state, action) => {
+  switch (action.type) {
+    case 'cart/add':
+      return { ...state, cart: { items: [...state.cart.items, action.payload] } };
+    case 'user/rename':
+      return { ...state, user: { name: action.payload } };
+    default:
+      return state;
+  }
+};
+
+const initialState = { cart: { items: [{ sku: 'a', qty: 1 }] }, user: { name: '' } };
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+afterEach(clearMutationReports);
+
+test('listeners are notified once per tick', async () => {
+  const store = createStore(initialState, { reducer });
+  let calls = 0;
+  store.subscribe(() => calls++);
+  store.dispatch({ type: 'cart/add', payload: { sku: 'b', qty: 1 } });
+  store.dispatch({ type: 'user/rename', payload: 'Ada' });
+  await tick();
+  assert.equal(calls, 1);
+  assert.equal(store.getState().cart.items.length, 2);
+});
+
+test('unchanged slices keep their identity across updates', () => {
+  const store = createStore(initialState, { reducer });
+  const { cart } = store.getState();
+  store.dispatch({ type: 'user/rename', payload: 'Ada' });
+  assert.equal(store.getState().cart, cart);
+  assert.equal(store.getState().cart.items[0], cart.items[0]);
+});
+
+test('writes to state throw and are reported with their path', () => {
+  const store = createStore(initialState, { reducer, devChecks: true });
+  assert.throws(() => { store.getState().cart.items[0].qty = 2; }, TypeError);
+  assert.throws(() => store.getState().cart.items.push({ sku: 'x' }), TypeError);
+  assert.deepEqual(getMutationReports().map(report => report.path), ['cart.items.0.qty', 'cart.items.1']);
+  assert.equal(toRaw(store.getState()).cart.items.length, 1);
+});
+
+test('stored state holds no read-only views', () => {
+  const store = createStore(initialState, { reducer, devChecks: true });
+  store.dispatch({ type: 'cart/add', payload: { sku: 'b', qty: 1 } });
+  assert.doesNotThrow(() => structuredClone(toRaw(store.getState())));
+  assert.doesNotThrow(() => structuredClone(toRaw(store.getState().cart)));
+});
+
+test('history keeps one snapshot per update, also inside batch', () => {
+  const store = withHistory(createStore(initialState, { reducer }));
+  store.batch(() => {
+    store.dispatch({ type: 'cart/add', payload: { sku: 'b', qty: 1 } });
+    store.dispatch({ type: 'cart/add', payload: { sku: 'c', qty: 1 } });
+  });
+  store.setState(state => ({ ...state, user: { name: 'Ada' } }));
+  assert.equal(store.getHistory().size, 4);
+
+  store.undo();
+  assert.equal(store.getState().user.name, '');
+  store.undo();
+  assert.equal(store.getState().cart.items.length, 2);
+  store.redo();
+  store.redo();
+  assert.equal(store.getState().user.name, 'Ada');
+  assert.equal(store.getHistory().canRedo, false);
+});
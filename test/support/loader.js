@@ -0,0 +1,35 @@
+// Module hooks that let `node --test` import src/ the way Vite bundles it:
+// extensionless relative imports, JSON modules and import.meta.env.
+
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const EXTENSIONS = ['.js', '/index.js'];
+
+// What Vite defines in development; tests run with the dev checks on
+const ENV = { DEV: true, PROD: false, MODE: 'test' };
+
+export async function resolve(specifier, context, nextResolve) {
+  if (/^\.{1,2}\//.test(specifier) && context.parentURL?.startsWith('file:')) {
+    const url = new URL(specifier, context.parentURL);
+    if (!existsSync(fileURLToPath(url))) {
+      const extension = EXTENSIONS.find(candidate => existsSync(fileURLToPath(url) + candidate));
+      if (extension) return nextResolve(specifier + extension, context);
+    }
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.endsWith('.json')) {
+    const { source } = await nextLoad(url, { ...context, format: 'json', importAttributes: { type: 'json' } });
+    return { format: 'module', source: `export default ${source};`, shortCircuit: true };
+  }
+
+  const result = await nextLoad(url, context);
+  if (result.format !== 'module' || !/\/(src|server)\//.test(url)) return result;
+
+  // Same line as the first line of the file, so stack traces keep their line numbers
+  const source = `import.meta.env = ${JSON.stringify(ENV)};${String(result.source)}`;
+  return { ...result, source };
+}
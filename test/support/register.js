@@ -0,0 +1,4 @@
+// Loaded with `node --import`, before any test file: see loader.js
+import { register } from 'node:module';
+
+register('./loader.js', import.meta.url);
@@ -0,0 +1,68 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStore, withHistory } from '../src/store.js';
+import { persistStore, createMemoryAdapter } from '../src/persist.js';
+import { syncTabs } from '../src/sync.js';
+
+const initialState = { cart: { items: [] } };
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Messages every tab posted on the channel under test
+let posted;
+let channels;
+beforeEach(() => {
+  posted = [];
+  channels = [];
+  globalThis.BroadcastChannel = class {
+    constructor(name) {
+      this.name = name;
+      channels.push(this);
+    }
+    postMessage(message) {
+      posted.push(structuredClone(message));
+      channels.filter(channel => channel !== this && channel.name === this.name)
+        .forEach(channel => channel.onmessage?.({ data: structuredClone(message) }));
+    }
+    close() {}
+  };
+});
+afterEach(() => {
+  delete globalThis.BroadcastChannel;
+});
+
+async function openTab(adapter) {
+  const store = withHistory(createStore(initialState));
+  const persistor = persistStore(store, { key: 'test', slices: ['cart'], adapter, throttle: 0 });
+  const sync = syncTabs(store, { channel: 'test', slices: ['cart'] });
+  await persistor.hydrated;
+  await tick();
+  return { store, persistor, sync };
+}
+
+test('a new tab does not push its saved copy over a newer live state', async () => {
+  const adapter = createMemoryAdapter();
+  const first = await openTab(adapter);
+  first.store.setState(state => ({ ...state, cart: { items: ['a'] } }), 'cart/add');
+  await tick();
+  await first.persistor.flush();
+  first.store.setState(state => ({ ...state, cart: { items: ['a', 'b'] } }), 'cart/add');
+  await tick();
+
+  posted = [];
+  const second = await openTab(adapter);
+
+  assert.ok(posted.every(message => message.type !== 'patch' || message.from !== second.sync.tabId));
+  assert.deepEqual(first.store.getState().cart.items, ['a', 'b']);
+  assert.deepEqual(second.store.getState().cart.items, ['a', 'b']);
+  [first, second].forEach(tab => tab.sync.stop());
+});
+
+test('restoring saved slices is not an undo step', async () => {
+  const adapter = createMemoryAdapter();
+  await adapter.setItem('test', { version: 1, slices: { cart: { items: ['saved'] } } });
+  const { store, sync } = await openTab(adapter);
+
+  assert.deepEqual(store.getState().cart.items, ['saved']);
+  assert.equal(store.getHistory().canUndo, false);
+  sync.stop();
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursor, decodeCursor, queryWorkOrders, toSearchParams, fromSearchParams } from '../src/utils/workOrderQuery.js';
+import { generateWorkOrders } from '../src/utils/mockData.js';
+
+const rows = generateWorkOrders(25, { seed: 3 });
+
+test('a cursor decodes to the offset it was made from', () => {
+  [0, 1, 50, 10000].forEach(offset => assert.equal(decodeCursor(encodeCursor(offset)), offset));
+});
+
+test('cursors that are not base64 JSON or hold no valid offset are rejected', () => {
+  [
+    'abc',
+    '',
+    btoa('{"offset":'),
+    btoa(JSON.stringify({ offset: -1 })),
+    btoa(JSON.stringify({ offset: 1.5 })),
+    btoa(JSON.stringify({ offset: '3' })),
+    btoa(JSON.stringify({ page: 2 })),
+    btoa('null')
+  ].forEach(cursor => assert.throws(() => decodeCursor(cursor), { message: `Invalid cursor: ${cursor}` }));
+
+  assert.throws(() => queryWorkOrders(rows, { limit: 10, cursor: 'abc' }), /Invalid cursor: abc/);
+});
+
+test('following nextCursor visits every match once, in order', () => {
+  const query = { sort: '-priority,id', limit: 10 };
+  const all = queryWorkOrders(rows, { sort: query.sort }).items;
+  const seen = [];
+
+  let page = queryWorkOrders(rows, query);
+  seen.push(...page.items);
+  while (page.nextCursor) {
+    page = queryWorkOrders(rows, { ...query, cursor: page.nextCursor });
+    seen.push(...page.items);
+  }
+
+  assert.deepEqual(seen.map(row => row.id), all.map(row => row.id));
+  assert.equal(page.total, rows.length);
+});
+
+test('a cursor survives the round trip through URL search params', () => {
+  const first = queryWorkOrders(rows, { limit: 10 });
+  const params = toSearchParams({ q: 'status:Open', limit: 10, cursor: first.nextCursor });
+  const query = fromSearchParams(new URLSearchParams(params.toString()));
+
+  assert.equal(query.cursor, first.nextCursor);
+  assert.equal(queryWorkOrders(rows, query).offset, 10);
+});
@@ -0,0 +1,74 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchWorkOrders, deleteWorkOrder, setWorkOrderCacheAdapter } from '../src/services/workOrdersApi.js';
+import { resetCircuitBreakers } from '../src/services/request.js';
+import { generateWorkOrders } from '../src/utils/mockData.js';
+
+const realFetch = globalThis.fetch;
+const rows = generateWorkOrders(20, { seed: 7 });
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// NDJSON response for the given records, claiming `total` of them
+const ndjson = (records, total = records.length) => new Response(
+  records.map(record => `${JSON.stringify(record)}\n`).join(''),
+  { headers: { 'Content-Type': 'application/x-ndjson', 'X-Total-Count': String(total), 'ETag': '"v1"' } }
+);
+
+// Cache entries by key, written through the storage adapter interface
+let saved;
+beforeEach(() => {
+  saved = new Map();
+  setWorkOrderCacheAdapter({
+    getItem: async (key) => saved.get(key) ?? null,
+    setItem: async (key, value) => {
+      saved.set(key, value);
+    },
+    removeItem: async (key) => {
+      saved.delete(key);
+    }
+  });
+});
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  setWorkOrderCacheAdapter(undefined);
+  resetCircuitBreakers();
+});
+
+test('a stream cut off at a line break is retried, and only the complete one is cached', async () => {
+  const responses = [ndjson(rows.slice(0, 12), rows.length), ndjson(rows)];
+  globalThis.fetch = async () => responses.shift();
+
+  const result = await fetchWorkOrders({ stream: true, cache: true });
+  await tick();
+
+  assert.equal(result.source, 'api');
+  assert.deepEqual(result.data.map(row => row.id), rows.map(row => row.id));
+  assert.deepEqual([...saved.values()].map(entry => [entry.data.length, entry.etag]), [[rows.length, '"v1"']]);
+});
+
+test('a stream that stays short is rejected and not cached', async () => {
+  globalThis.fetch = async () => ndjson(rows.slice(0, 12), rows.length);
+
+  const result = await fetchWorkOrders({ stream: true, cache: true });
+  await tick();
+
+  assert.equal(result.source, 'mock');
+  assert.match(result.error, /ended after 12 of 20 records/);
+  assert.equal(saved.size, 0);
+});
+
+test('a paginated stream is not compared with the full total', async () => {
+  globalThis.fetch = async () => ndjson(rows.slice(0, 5), rows.length);
+
+  const result = await fetchWorkOrders({ stream: true, query: { limit: 5 } });
+  assert.equal(result.source, 'api');
+  assert.equal(result.data.length, 5);
+});
+
+test('deleting a work order that is already gone succeeds', async () => {
+  const statuses = [404, 500];
+  globalThis.fetch = async () => Response.json({ error: 'Work order not found' }, { status: statuses.shift() });
+
+  assert.equal(await deleteWorkOrder('WO-1'), null);
+  await assert.rejects(deleteWorkOrder('WO-2'), { name: 'HttpError', status: 500 });
+});